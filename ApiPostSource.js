@@ -0,0 +1,175 @@
+import { PostSource } from './PostSource.js';
+
+/**
+ * ApiPostSource - Loads posts from the Mockstagram API server (api-server.js)
+ * Pages come straight from the server, and reactions are posted back to it so
+ * like/dislike counts are shared by everyone using the same server.
+ */
+export class ApiPostSource extends PostSource {
+    /**
+     * clientId may be a promise, e.g. InteractionOutbox.getClientId()
+     */
+    constructor({ baseUrl = '/api', clientId = null, headers = {} } = {}) {
+        super('api');
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.clientId = clientId;
+        this.headers = headers;
+    }
+
+    /**
+     * Fetch every post by walking the pages
+     */
+    async fetchPosts() {
+        const posts = [];
+        let cursor = null;
+
+        do {
+            const page = await this.fetchPage(cursor, 50);
+            posts.push(...page.items);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return posts;
+    }
+
+    /**
+     * Fetch one page; `query` takes extra server params (sort, q, filter criteria)
+     */
+    async fetchPage(cursor = null, limit = 10, query = {}) {
+        const params = new URLSearchParams({ ...query, limit: String(limit) });
+        const clientId = await this.clientId;
+        if (cursor) params.set('cursor', cursor);
+        if (clientId) params.set('clientId', clientId);
+
+        const data = await this.request(`/posts?${params}`);
+        return {
+            items: this.createPosts(data.items, parseInt(cursor, 10) || 0),
+            nextCursor: data.nextCursor
+        };
+    }
+
+    async fetchPost(id) {
+        const clientId = await this.clientId;
+        const params = clientId ? `?clientId=${encodeURIComponent(clientId)}` : '';
+        return this.createPost(await this.request(`/posts/${encodeURIComponent(id)}${params}`));
+    }
+
+    /**
+     * Publish a new post; returns the post as the server stored it
+     */
+    async publish(post) {
+        const data = await this.send('POST', '/posts', { ...post.toJSON(), clientId: await this.clientId });
+        return this.createPost(data.post);
+    }
+
+    /**
+     * Change the caption and/or channel of a post this client published
+     */
+    async updatePost(postId, { title, channel }) {
+        const data = await this.send('PATCH', `/posts/${encodeURIComponent(postId)}`, {
+            clientId: await this.clientId,
+            title,
+            channel
+        });
+        return this.createPost(data.post);
+    }
+
+    async removePost(postId) {
+        await this.send('DELETE', `/posts/${encodeURIComponent(postId)}`, { clientId: await this.clientId });
+    }
+
+    async fetchStats() {
+        return this.request('/stats');
+    }
+
+    /**
+     * URL of the server's live reaction stream for this client
+     */
+    async getEventsUrl() {
+        const clientId = await this.clientId;
+        return `${this.baseUrl}/events${clientId ? `?clientId=${encodeURIComponent(clientId)}` : ''}`;
+    }
+
+    /**
+     * Where an outbox event is synced to, or null when the server doesn't take it
+     * Returns { url, body } for OutboxSyncWorker.
+     */
+    getSyncRequest(event) {
+        if (event.type !== 'vote') {
+            return null;
+        }
+
+        return {
+            url: `${this.baseUrl}/posts/${encodeURIComponent(event.postId)}/reactions`,
+            body: {
+                clientId: event.clientId,
+                vote: event.payload.vote ?? null,
+                previousVote: event.payload.previousVote ?? null
+            }
+        };
+    }
+
+    /**
+     * Set this client's vote right away, without going through the outbox
+     * Returns the server's { id, likes, dislikes, vote } for the post.
+     */
+    async react(postId, vote, { previousVote, idempotencyKey } = {}) {
+        const { url, body } = this.getSyncRequest({
+            type: 'vote',
+            postId,
+            clientId: await this.clientId,
+            payload: { vote, previousVote }
+        });
+        if (previousVote === undefined) {
+            delete body.previousVote;
+        }
+
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        if (idempotencyKey) {
+            headers['Idempotency-Key'] = idempotencyKey;
+        }
+
+        const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data.post;
+    }
+
+    /**
+     * Server counts include this client's own vote, so take it as the synced vote
+     */
+    createPost(data) {
+        const post = super.createPost(data);
+        post.markSynced(data.vote ?? null);
+        return post;
+    }
+
+    /**
+     * Send a JSON body, throwing the server's error message when it refuses
+     */
+    async send(method, path, body) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+
+    async request(path) {
+        const response = await fetch(`${this.baseUrl}${path}`, { headers: this.headers });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+}
\ No newline at end of file
@@ -24,11 +24,11 @@ export class Author {
     }
 
     /**
-     * Get years since joining
+     * Get years since joining, or null when the joining year is unknown
      */
     getYearsSinceJoining() {
-        const currentYear = new Date().getFullYear();
-        return currentYear - parseInt(this.userSince);
+        const year = parseInt(this.userSince, 10);
+        return Number.isNaN(year) ? null : new Date().getFullYear() - year;
     }
 
     /**
@@ -0,0 +1,98 @@
+import { Author } from './Author.js';
+
+/**
+ * Comment Entity - Domain model for a comment or threaded reply on a post
+ */
+export class Comment {
+    constructor(id, authorData, text, timestamp, parentId = null) {
+        this.id = id;
+        this.author = new Author(
+            authorData?.name,
+            authorData?.image,
+            authorData?.userSince,
+            authorData?.channel
+        );
+        this.text = text;
+        this.timestamp = timestamp || new Date().toISOString();
+        this.parentId = parentId || null;
+    }
+
+    /**
+     * Create a comment from raw feed or storage data
+     */
+    static fromJSON(data) {
+        if (data instanceof Comment) {
+            return data;
+        }
+        return new Comment(data.id, data.author, data.text, data.timestamp, data.parentId);
+    }
+
+    /**
+     * Generate a unique comment ID
+     */
+    static generateId() {
+        return `comment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Arrange a flat list of comments into a tree of { comment, replies }
+     * Replies whose parent is missing are promoted to the top level.
+     */
+    static buildThread(comments = []) {
+        const nodes = new Map();
+        comments.forEach(comment => nodes.set(comment.id, { comment, replies: [] }));
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.comment.parentId && nodes.get(node.comment.parentId);
+            if (parent) {
+                parent.replies.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        const byTime = (a, b) => new Date(a.comment.timestamp) - new Date(b.comment.timestamp);
+        const sort = list => {
+            list.sort(byTime);
+            list.forEach(node => sort(node.replies));
+            return list;
+        };
+
+        return sort(roots);
+    }
+
+    /**
+     * Check whether this comment is a reply to another comment
+     */
+    isReply() {
+        return this.parentId !== null;
+    }
+
+    /**
+     * Check if comment is valid
+     */
+    isValid() {
+        return this.id &&
+               typeof this.text === 'string' &&
+               this.text.trim().length > 0 &&
+               !isNaN(new Date(this.timestamp)) &&
+               this.author.isValid();
+    }
+
+    /**
+     * Convert to plain object for storage
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            author: {
+                name: this.author.name,
+                image: this.author.image
+            },
+            text: this.text,
+            timestamp: this.timestamp,
+            parentId: this.parentId
+        };
+    }
+}
\ No newline at end of file
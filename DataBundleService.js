@@ -0,0 +1,288 @@
+import { isReactionType } from './Reactions.js';
+
+export const BUNDLE_SCHEMA = 'mockstagram-data';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Per-post sections: storage key prefix and how to validate one value
+ */
+const POST_SECTIONS = {
+    likes: { prefix: 'likes_', isValid: value => Number.isInteger(value) && value >= 0 },
+    dislikes: { prefix: 'dislikes_', isValid: value => Number.isInteger(value) && value >= 0 },
+    comments: { prefix: 'comments_', isValid: value => Array.isArray(value) && value.every(isValidComment) }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidComment(comment) {
+    return isPlainObject(comment) &&
+           typeof comment.id === 'string' &&
+           typeof comment.text === 'string' &&
+           isPlainObject(comment.author);
+}
+
+function isValidInteraction(interaction) {
+    return isPlainObject(interaction) &&
+           typeof (interaction.userHasLiked ?? false) === 'boolean' &&
+           typeof (interaction.userHasDisliked ?? false) === 'boolean' &&
+           (interaction.reaction === undefined || isReactionType(interaction.reaction));
+}
+
+/**
+ * DataBundleService - Exports and imports a user's Mockstagram data as a
+ * schema-versioned JSON bundle, so it can be backed up or moved between browsers
+ */
+export class DataBundleService {
+    constructor(storageService) {
+        this.storageService = storageService;
+    }
+
+    /**
+     * Collect everything the user has stored into a bundle object
+     */
+    async exportBundle() {
+        const storage = this.storageService;
+        const keys = await storage.getKeys();
+        const data = {
+            likes: {},
+            dislikes: {},
+            comments: {},
+            theme: await storage.getTheme(),
+            preferences: await storage.getUserPreferences(),
+            socialInteractions: await storage.getItem(storage.INTERACTIONS_KEY) || {}
+        };
+
+        for (const key of keys) {
+            for (const [section, { prefix }] of Object.entries(POST_SECTIONS)) {
+                if (key.startsWith(prefix)) {
+                    data[section][key.slice(prefix.length)] = await storage.getItem(key);
+                }
+            }
+        }
+
+        return {
+            schema: BUNDLE_SCHEMA,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * Export and trigger a browser download of the bundle
+     */
+    async downloadBundle() {
+        const bundle = await this.exportBundle();
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = `mockstagram-data-${bundle.exportedAt.split('T')[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        return bundle;
+    }
+
+    /**
+     * Parse and validate bundle text
+     * Returns { valid, errors, bundle } - bundle is only set when valid.
+     */
+    parseBundle(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            return { valid: false, errors: [`File is not valid JSON: ${error.message}`], bundle: null };
+        }
+
+        const errors = this.validateBundle(raw);
+        return errors.length > 0
+            ? { valid: false, errors, bundle: null }
+            : { valid: true, errors, bundle: raw };
+    }
+
+    /**
+     * Check a parsed bundle against the schema, returning a list of problems
+     */
+    validateBundle(bundle) {
+        const errors = [];
+
+        if (!isPlainObject(bundle)) {
+            return ['Bundle must be a JSON object'];
+        }
+        if (bundle.schema !== BUNDLE_SCHEMA) {
+            errors.push(`Unknown schema "${bundle.schema}", expected "${BUNDLE_SCHEMA}"`);
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+            errors.push('Bundle version must be a positive integer');
+        } else if (bundle.version > BUNDLE_VERSION) {
+            errors.push(`Bundle version ${bundle.version} is newer than supported version ${BUNDLE_VERSION}`);
+        }
+        if (!isPlainObject(bundle.data)) {
+            errors.push('Bundle is missing its data section');
+            return errors;
+        }
+
+        const { data } = bundle;
+
+        Object.entries(POST_SECTIONS).forEach(([section, { isValid }]) => {
+            if (data[section] === undefined) return;
+            if (!isPlainObject(data[section])) {
+                errors.push(`data.${section} must be an object keyed by post ID`);
+                return;
+            }
+            Object.entries(data[section]).forEach(([postId, value]) => {
+                if (!isValid(value)) {
+                    errors.push(`data.${section}["${postId}"] has an invalid value`);
+                }
+            });
+        });
+
+        if (data.theme !== undefined && !['light', 'dark'].includes(data.theme)) {
+            errors.push('data.theme must be "light" or "dark"');
+        }
+        if (data.preferences !== undefined && !isPlainObject(data.preferences)) {
+            errors.push('data.preferences must be an object');
+        }
+        if (data.socialInteractions !== undefined) {
+            if (!isPlainObject(data.socialInteractions)) {
+                errors.push('data.socialInteractions must be an object keyed by post ID');
+            } else {
+                Object.entries(data.socialInteractions).forEach(([postId, interaction]) => {
+                    if (!isValidInteraction(interaction)) {
+                        errors.push(`data.socialInteractions["${postId}"] has an invalid value`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Compare a bundle with what is stored now
+     * Returns, per section, { added, changed, removed, unchanged } key lists
+     * (removed only applies when replacing).
+     */
+    async diffBundle(bundle) {
+        const current = (await this.exportBundle()).data;
+        const incoming = bundle.data;
+        const diff = {};
+
+        const compareMaps = (before = {}, after = {}) => {
+            const result = { added: [], changed: [], removed: [], unchanged: [] };
+            Object.keys(after).forEach(key => {
+                if (!(key in before)) {
+                    result.added.push(key);
+                } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                    result.changed.push(key);
+                } else {
+                    result.unchanged.push(key);
+                }
+            });
+            Object.keys(before).forEach(key => {
+                if (!(key in after)) {
+                    result.removed.push(key);
+                }
+            });
+            return result;
+        };
+
+        Object.keys(POST_SECTIONS).forEach(section => {
+            diff[section] = compareMaps(current[section], incoming[section]);
+        });
+        diff.socialInteractions = compareMaps(current.socialInteractions, incoming.socialInteractions);
+        diff.preferences = compareMaps(current.preferences, incoming.preferences);
+        diff.theme = {
+            from: current.theme,
+            to: incoming.theme ?? current.theme,
+            changed: incoming.theme !== undefined && incoming.theme !== current.theme
+        };
+
+        return diff;
+    }
+
+    /**
+     * Write a validated bundle into storage
+     * 'merge' keeps existing data and lets the bundle win on conflicts;
+     * 'replace' clears the sections a bundle carries first.
+     */
+    async importBundle(bundle, mode = 'merge') {
+        const errors = this.validateBundle(bundle);
+        if (errors.length > 0) {
+            return { success: false, errors, message: 'Bundle failed validation' };
+        }
+
+        const storage = this.storageService;
+        const { data } = bundle;
+
+        try {
+            if (mode === 'replace') {
+                await this.clearBundledData();
+            }
+
+            for (const [section, { prefix }] of Object.entries(POST_SECTIONS)) {
+                for (const [postId, value] of Object.entries(data[section] || {})) {
+                    await storage.update(`${prefix}${postId}`, stored =>
+                        section === 'comments' && mode === 'merge' && Array.isArray(stored)
+                            ? this.mergeComments(stored, value)
+                            : value
+                    );
+                }
+            }
+
+            await storage.update(storage.INTERACTIONS_KEY, stored =>
+                mode === 'merge'
+                    ? { ...(stored || {}), ...(data.socialInteractions || {}) }
+                    : data.socialInteractions || {}
+            );
+
+            if (data.preferences) {
+                await storage.update(storage.USER_PREFERENCES_KEY, stored =>
+                    mode === 'merge'
+                        ? { ...(stored || storage.getDefaultPreferences()), ...data.preferences }
+                        : data.preferences
+                );
+            }
+            if (data.theme) {
+                await storage.setTheme(data.theme);
+            }
+
+            return { success: true, errors: [], message: mode === 'replace' ? 'Data replaced' : 'Data merged' };
+        } catch (error) {
+            console.error('Error importing data bundle:', error);
+            return { success: false, errors: [error.message], message: 'Import failed' };
+        }
+    }
+
+    /**
+     * Remove the data a bundle carries, leaving anything else in storage alone
+     */
+    async clearBundledData() {
+        const storage = this.storageService;
+        const prefixes = Object.values(POST_SECTIONS).map(({ prefix }) => prefix);
+        const singleKeys = [storage.INTERACTIONS_KEY, storage.USER_PREFERENCES_KEY, storage.THEME_KEY];
+        const keys = (await storage.getKeys()).filter(key =>
+            singleKeys.includes(key) || prefixes.some(prefix => key.startsWith(prefix))
+        );
+
+        for (const key of keys) {
+            await storage.update(key, () => undefined);
+        }
+    }
+
+    /**
+     * Union two comment lists by ID, incoming comments winning
+     */
+    mergeComments(existing, incoming) {
+        const byId = new Map(existing.map(comment => [comment.id, comment]));
+        incoming.forEach(comment => byId.set(comment.id, comment));
+        return [...byId.values()];
+    }
+}
\ No newline at end of file
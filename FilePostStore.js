@@ -0,0 +1,174 @@
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { isReactionType, normalizeReactions } from './Reactions.js';
+
+/**
+ * Give a stored post its reactions map, built from likes/dislikes for data written before it
+ * existed, and keep likes and dislikes in step with it for older clients
+ */
+function withReactions(post) {
+    post.reactions = normalizeReactions(post);
+    post.likes = post.reactions.like || 0;
+    post.dislikes = post.reactions.dislike || 0;
+    return post;
+}
+
+/**
+ * FilePostStore - JSON file store for the API server
+ * Seeded from social-posts.json the first time it runs; after that the data file
+ * is the source of truth. Every write goes through one queue and replaces the file
+ * atomically, so concurrent reactions can't overwrite each other.
+ *
+ * Stored post shape: the feed's raw post plus reactions: { [type]: count }, the
+ * matching likes and dislikes, votes: { [clientId]: reaction type } and, for posts
+ * created through the API, ownerId: the client allowed to edit and delete it
+ */
+export class FilePostStore {
+    constructor({ dataFile = './api-data.json', seedFile = './social-posts.json' } = {}) {
+        this.dataFile = dataFile;
+        this.seedFile = seedFile;
+        this.posts = null;
+        this.queue = Promise.resolve();
+
+        // Bumped whenever post content (not counts) changes, so search indexes know to rebuild
+        this.revision = 0;
+    }
+
+    /**
+     * Load the data file, seeding it on first run
+     */
+    async load() {
+        if (this.posts) {
+            return this.posts;
+        }
+
+        try {
+            const data = await this.readJson(this.dataFile);
+            this.posts = data.posts.map(withReactions);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            const seed = await this.readJson(this.seedFile);
+            this.posts = (seed.photos || []).map(post => withReactions({ ...post, votes: {} }));
+            await this.save();
+            console.log(`Seeded ${this.posts.length} posts from ${this.seedFile}`);
+        }
+
+        return this.posts;
+    }
+
+    async readJson(file) {
+        // social-posts.json is saved with a byte order mark
+        return JSON.parse((await readFile(file, 'utf8')).replace(/^\uFEFF/, ''));
+    }
+
+    async save(posts = this.posts) {
+        const temporary = `${this.dataFile}.tmp`;
+        await writeFile(temporary, JSON.stringify({ posts }, null, 2));
+        await rename(temporary, this.dataFile);
+    }
+
+    /**
+     * Run a change against the loaded posts and persist it, one change at a time
+     * The change is made to a copy that only replaces the loaded posts once saved, so a
+     * failed write leaves memory matching the file.
+     */
+    update(change) {
+        const run = this.queue.then(async () => {
+            const posts = structuredClone(await this.load());
+            const result = change(posts);
+            await this.save(posts);
+            this.posts = posts;
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async getAll() {
+        await this.queue;
+        return this.load();
+    }
+
+    async getById(id) {
+        return (await this.getAll()).find(post => post.id === id) || null;
+    }
+
+    /**
+     * Add a new post at the top of the feed
+     * Returns the stored post, or null when the ID is taken.
+     */
+    async addPost(post) {
+        return this.update(posts => {
+            if (posts.some(existing => existing.id === post.id)) {
+                return null;
+            }
+
+            const stored = { ...post, likes: 0, dislikes: 0, reactions: {}, comments: [], votes: {} };
+            posts.unshift(stored);
+            this.revision++;
+            return stored;
+        });
+    }
+
+    /**
+     * Apply changes to a post's content
+     * Returns the updated post, or null when the post doesn't exist.
+     */
+    async updatePost(postId, changes) {
+        return this.update(posts => {
+            const post = posts.find(candidate => candidate.id === postId);
+            if (!post) return null;
+
+            Object.assign(post, changes);
+            this.revision++;
+            return post;
+        });
+    }
+
+    /**
+     * Returns the removed post, or null when it didn't exist
+     */
+    async removePost(postId) {
+        return this.update(posts => {
+            const index = posts.findIndex(candidate => candidate.id === postId);
+            if (index === -1) return null;
+
+            this.revision++;
+            return posts.splice(index, 1)[0];
+        });
+    }
+
+    /**
+     * Set one client's vote on a post
+     * When expectedVote is given and doesn't match the client's stored vote the
+     * reaction is refused with { conflict: true } so the client can rebase.
+     * Returns { post, vote, conflict, changed } or null when the post doesn't exist.
+     */
+    async setVote(postId, clientId, vote, { expectedVote } = {}) {
+        if (vote !== null && !isReactionType(vote)) {
+            throw new Error(`Unknown vote "${vote}"`);
+        }
+
+        return this.update(posts => {
+            const post = posts.find(candidate => candidate.id === postId);
+            if (!post) return null;
+
+            const current = post.votes[clientId] || null;
+            if (expectedVote !== undefined && expectedVote !== current) {
+                return { post, vote: current, conflict: true, changed: false };
+            }
+
+            if (current) post.reactions[current] = Math.max(0, (post.reactions[current] || 0) - 1);
+            if (vote) post.reactions[vote] = (post.reactions[vote] || 0) + 1;
+            withReactions(post);
+
+            if (vote) {
+                post.votes[clientId] = vote;
+            } else {
+                delete post.votes[clientId];
+            }
+            return { post, vote, conflict: false, changed: current !== vote };
+        });
+    }
+}
\ No newline at end of file
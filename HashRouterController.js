@@ -0,0 +1,143 @@
+import { PostFilter } from './PostFilter.js';
+
+/**
+ * Hash routes understood by the gallery:
+ *   #/                     the feed
+ *   #/post/<id>            scroll to and highlight a post in the feed
+ *   #/photo/<id>           open a post in the fullscreen viewer
+ *   #/author/<name>        an author's profile
+ *   #/channel/<name>       every post in a channel
+ *   #<id>                  legacy share links, treated like #/post/<id>
+ * Any route can carry PostFilter criteria (e.g. ?channel=Wildlife&liked=1)
+ * plus &sort=<sort order>&q=<search query>.
+ */
+const POST_VIEWS = ['post', 'photo'];
+const PAGE_VIEWS = ['author', 'channel'];
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Parse a location hash into { view, postId, authorName, channelName, filter, sort, query }
+ * filter (a PostFilter), sort and query are null when the hash does not set them.
+ */
+export function parseHash(hash = '') {
+    const value = hash.replace(/^#/, '');
+    const separator = value.indexOf('?');
+    const path = separator === -1 ? value : value.slice(0, separator);
+    const params = new URLSearchParams(separator === -1 ? '' : value.slice(separator + 1));
+
+    const route = {
+        view: null,
+        postId: null,
+        authorName: null,
+        channelName: null,
+        filter: PostFilter.fromParams(params),
+        sort: params.get('sort'),
+        query: params.get('q')
+    };
+
+    if (path.startsWith('/')) {
+        const [view, postId] = path.split('/').filter(Boolean);
+        if (POST_VIEWS.includes(view) && postId) {
+            route.view = view;
+            route.postId = safeDecode(postId);
+        } else if (PAGE_VIEWS.includes(view) && postId) {
+            route.view = view;
+            route[`${view}Name`] = safeDecode(postId);
+        }
+    } else if (path) {
+        route.view = 'post';
+        route.postId = safeDecode(path);
+    }
+
+    return route;
+}
+
+/**
+ * Build a location hash from a route; the plain feed with no filter or search is ''
+ */
+export function formatHash({
+    view = 'post', postId = null, authorName = null, channelName = null, filter = null, sort = null, query = null
+} = {}) {
+    let path = '/';
+    if (postId) {
+        path = `/${view}/${encodeURIComponent(postId)}`;
+    } else if (authorName) {
+        path = `/author/${encodeURIComponent(authorName)}`;
+    } else if (channelName) {
+        path = `/channel/${encodeURIComponent(channelName)}`;
+    }
+    const params = new URLSearchParams();
+
+    if (filter) {
+        filter.toParams(params);
+    }
+    if (sort && sort !== 'default') {
+        params.set('sort', sort);
+    }
+    if (query) {
+        params.set('q', query);
+    }
+
+    const queryString = params.toString();
+    if (path === '/' && !queryString) {
+        return '';
+    }
+    return `#${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * HashRouterController - Lit reactive controller that reports hash changes to the host
+ * and writes the host's state back into the URL without triggering a reload
+ */
+export class HashRouterController {
+    constructor(host, { onChange }) {
+        this.host = host;
+        this.onChange = onChange;
+        this.handleHashChange = this.handleHashChange.bind(this);
+        host.addController(this);
+    }
+
+    hostConnected() {
+        window.addEventListener('hashchange', this.handleHashChange);
+    }
+
+    hostDisconnected() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+    }
+
+    /**
+     * Route for the current location
+     */
+    get route() {
+        return parseHash(window.location.hash);
+    }
+
+    /**
+     * Write a route to the URL; history.pushState/replaceState don't fire hashchange,
+     * so the host is not asked to re-apply state it already has
+     */
+    navigate(route, { replace = false } = {}) {
+        const hash = formatHash(route);
+        if (hash === formatHash(this.route) && hash === window.location.hash) {
+            return;
+        }
+
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        if (replace) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    handleHashChange() {
+        this.onChange(this.route);
+    }
+}
\ No newline at end of file
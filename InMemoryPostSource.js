@@ -0,0 +1,21 @@
+import { PostSource } from './PostSource.js';
+import { SocialPost } from './SocialPost.js';
+
+/**
+ * InMemoryPostSource - Serves posts from an array, useful for demos and tests
+ */
+export class InMemoryPostSource extends PostSource {
+    constructor(items = []) {
+        super('memory');
+        this.items = items;
+    }
+
+    /**
+     * Return the stored items, validating raw objects into SocialPost entities
+     */
+    async fetchPosts() {
+        return this.items.flatMap((item, index) =>
+            item instanceof SocialPost ? [item] : this.createPosts([item], index)
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * IndexedDBBackend - Async key/value store on top of a single IndexedDB object store
+ * Values are stored as structured-clone data, so no JSON round trip is needed.
+ */
+export class IndexedDBBackend {
+    constructor({ databaseName = 'mockstagram', storeName = 'kv', version = 1 } = {}) {
+        this.name = 'indexeddb';
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.version = version;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this environment
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and on first use create) the database; the connection is reused
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+            }).catch(error => {
+                // Allow a later call to retry
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request in a transaction and resolve with its result
+     */
+    async request(mode, run) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = run(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Read a value, or undefined when the key does not exist
+     */
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Write many entries in one transaction
+     */
+    async setMany(entries) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            entries.forEach(([key, value]) => store.put(value, key));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async keys() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+
+    /**
+     * Key counts and approximate size in characters of the JSON-encoded values
+     */
+    async stats() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const stats = {
+                backend: this.name,
+                totalKeys: 0,
+                mockstagramKeys: 0,
+                estimatedSize: 0
+            };
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const cursorRequest = transaction.objectStore(this.storeName).openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+
+                stats.totalKeys++;
+                stats.mockstagramKeys++;
+                stats.estimatedSize += String(cursor.key).length + (JSON.stringify(cursor.value) || '').length;
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(stats);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { StorageService } from './StorageService.js';
+import { IndexedDBBackend } from './IndexedDBBackend.js';
+
+/**
+ * IndexedDBStorageService - Domain storage backed by IndexedDB
+ * On first use it moves any existing mockstagram_* localStorage keys into the
+ * database, then removes them from localStorage to free up quota.
+ */
+export class IndexedDBStorageService extends StorageService {
+    constructor(backend = new IndexedDBBackend()) {
+        super(backend);
+        this.LEGACY_PREFIX = 'mockstagram_';
+        this.MIGRATION_KEY = 'migrated_from_localstorage';
+        this.readyPromise = null;
+    }
+
+    /**
+     * Check whether this implementation can be used here
+     */
+    static isSupported() {
+        return IndexedDBBackend.isSupported();
+    }
+
+    /**
+     * Open the database and run the localStorage migration once
+     */
+    whenReady() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.migrateFromLocalStorage().catch(error => {
+                // Keep going with whatever is already in IndexedDB; try again next load
+                console.error('Error migrating localStorage data to IndexedDB:', error);
+                return false;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Copy every mockstagram_* localStorage key into IndexedDB, once
+     * Returns the number of keys migrated.
+     */
+    async migrateFromLocalStorage() {
+        const alreadyMigrated = await this.backend.get(this.MIGRATION_KEY);
+        if (alreadyMigrated || typeof localStorage === 'undefined') {
+            return 0;
+        }
+
+        const legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(this.LEGACY_PREFIX));
+        const entries = legacyKeys.map(key => [
+            key.slice(this.LEGACY_PREFIX.length),
+            this.parseLegacyValue(localStorage.getItem(key))
+        ]);
+
+        entries.push([this.MIGRATION_KEY, { migratedAt: new Date().toISOString(), keys: legacyKeys.length }]);
+        await this.backend.setMany(entries);
+
+        // Only drop the originals once the copy has committed
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+        console.log(`Migrated ${legacyKeys.length} localStorage keys to IndexedDB`);
+
+        return legacyKeys.length;
+    }
+
+    /**
+     * Legacy values are JSON, except bare strings such as the theme
+     */
+    parseLegacyValue(raw) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    /**
+     * Clear all stored data but keep the migration marker so old keys are not re-imported
+     */
+    async clearAll() {
+        const cleared = await super.clearAll();
+        if (cleared) {
+            await this.backend.set(this.MIGRATION_KEY, { migratedAt: new Date().toISOString(), keys: 0 });
+        }
+        return cleared;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,222 @@
+import { TRENDING_GRAVITY } from './PostRanking.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Event types the log records; react and unreact cover the reactions other than like and dislike
+ */
+export const INTERACTION_TYPES = ['like', 'unlike', 'dislike', 'undislike', 'react', 'unreact', 'share', 'view'];
+
+/**
+ * How much each event type adds to a post's recent activity; taking a vote back cancels it out
+ */
+const ACTIVITY_WEIGHTS = { like: 1, dislike: 1, react: 1, share: 1, unlike: -1, undislike: -1, unreact: -1 };
+
+/**
+ * Event types only counted per day; views are frequent enough to push every other
+ * interaction out of the single-event window
+ */
+const DAILY_ONLY_TYPES = ['view'];
+
+/**
+ * Calendar day of a timestamp in local time, as 'YYYY-MM-DD'
+ */
+export function toDay(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * InteractionEventLog - Timestamped history of the user's interactions, for trends
+ * and time-series stats
+ *
+ * Recent events are kept one by one. Once there are more than maxEvents, the oldest
+ * are compacted into per-day counts, and days older than maxDays are dropped, so the
+ * log stays bounded however long it is used. Views skip the single events and go
+ * straight into the per-day counts.
+ *
+ * Stored shape:
+ * {
+ *   events: [{ type, postId, at, method?, reaction? }],            oldest first
+ *   days: { 'YYYY-MM-DD': { [postId]: { [type]: count } } }          compacted events
+ * }
+ */
+export class InteractionEventLog {
+    constructor(storageService, { maxEvents = 1000, maxDays = 90 } = {}) {
+        this.storageService = storageService;
+        this.maxEvents = maxEvents;
+        this.maxDays = maxDays;
+        this.LOG_KEY = 'interaction_log';
+
+        // Every read-modify-write runs on this chain so concurrent appends aren't lost
+        this.queue = Promise.resolve();
+    }
+
+    async read() {
+        const log = await this.storageService.getItem(this.LOG_KEY);
+        return {
+            events: Array.isArray(log?.events) ? log.events : [],
+            days: log?.days && typeof log.days === 'object' ? log.days : {}
+        };
+    }
+
+    /**
+     * Run an update against the stored log, one at a time
+     */
+    update(change) {
+        const run = this.queue.then(async () => {
+            const log = await this.read();
+            const result = await change(log);
+            if (!(await this.storageService.setItem(this.LOG_KEY, log))) {
+                throw new Error('Failed to save interaction log');
+            }
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Record an interaction; share events may carry the share method, react events the reaction
+     */
+    async append(type, postId, { method = null, reaction = null, at = Date.now() } = {}) {
+        if (!INTERACTION_TYPES.includes(type)) {
+            throw new Error(`Unknown interaction type: ${type}`);
+        }
+
+        const event = { type, postId, at };
+        if (method) {
+            event.method = method;
+        }
+        if (reaction) {
+            event.reaction = reaction;
+        }
+
+        return this.update(log => {
+            if (DAILY_ONLY_TYPES.includes(type)) {
+                this.countDay(log, event);
+            } else {
+                log.events.push(event);
+            }
+            this.compact(log, at);
+            return event;
+        });
+    }
+
+    /**
+     * Add an event to its day's counts
+     */
+    countDay(log, event) {
+        const day = toDay(event.at);
+        const posts = log.days[day] = log.days[day] || {};
+        const counts = posts[event.postId] = posts[event.postId] || {};
+        counts[event.type] = (counts[event.type] || 0) + 1;
+    }
+
+    /**
+     * Fold the oldest events into per-day counts and drop days past maxDays
+     */
+    compact(log, now = Date.now()) {
+        const overflow = log.events.length - this.maxEvents;
+        if (overflow > 0) {
+            log.events.splice(0, overflow).forEach(event => this.countDay(log, event));
+        }
+
+        const oldestDay = toDay(now - this.maxDays * 24 * HOUR);
+        Object.keys(log.days)
+            .filter(day => day < oldestDay)
+            .forEach(day => delete log.days[day]);
+        log.events = log.events.filter(event => toDay(event.at) >= oldestDay);
+    }
+
+    /**
+     * Forget a post's history, e.g. once it is deleted
+     */
+    async removePost(postId) {
+        return this.update(log => {
+            log.events = log.events.filter(event => event.postId !== postId);
+            Object.entries(log.days).forEach(([day, posts]) => {
+                delete posts[postId];
+                if (Object.keys(posts).length === 0) {
+                    delete log.days[day];
+                }
+            });
+        });
+    }
+
+    /**
+     * Counts per day per post, from compacted days and single events alike
+     * Returns { 'YYYY-MM-DD': { [postId]: count } } for the given types (all by default)
+     * between the since and until days, inclusive.
+     */
+    async getCountsByDay({ types = null, since = null, until = null } = {}) {
+        const log = await this.read();
+        const counted = type => !types || types.includes(type);
+        const inRange = day => (!since || day >= since) && (!until || day <= until);
+        const result = {};
+
+        const add = (day, postId, count) => {
+            if (!inRange(day) || count === 0) return;
+            result[day] = result[day] || {};
+            result[day][postId] = (result[day][postId] || 0) + count;
+        };
+
+        Object.entries(log.days).forEach(([day, posts]) => {
+            Object.entries(posts).forEach(([postId, counts]) => {
+                const count = Object.entries(counts)
+                    .filter(([type]) => counted(type))
+                    .reduce((sum, [, value]) => sum + value, 0);
+                add(day, postId, count);
+            });
+        });
+        log.events
+            .filter(event => counted(event.type))
+            .forEach(event => add(toDay(event.at), event.postId, 1));
+
+        return result;
+    }
+
+    /**
+     * One post's counts per day, oldest first: [{ day, count }]
+     */
+    async getDailyCounts(postId, options = {}) {
+        const byDay = await this.getCountsByDay(options);
+        return Object.keys(byDay)
+            .filter(day => byDay[day][postId])
+            .sort()
+            .map(day => ({ day, count: byDay[day][postId] }));
+    }
+
+    /**
+     * Recent activity per post, each event weighted down by its own age the way
+     * trending weights a post's engagement by the post's age
+     * Compacted days no longer know their events' times, so those count as noon that day.
+     * Returns a Map of postId -> score.
+     */
+    async getActivityScores({ weights = ACTIVITY_WEIGHTS, gravity = TRENDING_GRAVITY, now = Date.now() } = {}) {
+        const { events, days } = await this.read();
+        const scores = new Map();
+
+        const add = (postId, type, at, count = 1) => {
+            if (!weights[type]) return;
+            const ageHours = Math.max(0, now - at) / HOUR;
+            const score = count * weights[type] / Math.pow(ageHours + 2, gravity);
+            scores.set(postId, (scores.get(postId) || 0) + score);
+        };
+
+        Object.entries(days).forEach(([day, posts]) => {
+            const noon = new Date(`${day}T12:00:00`).getTime();
+            Object.entries(posts).forEach(([postId, counts]) => {
+                Object.entries(counts).forEach(([type, count]) => add(postId, type, noon, count));
+            });
+        });
+        events.forEach(event => add(event.postId, event.type, event.at));
+
+        // Taking a vote back is newer than the vote, so it outweighs it; nothing goes below zero
+        scores.forEach((score, postId) => {
+            if (score <= 0) scores.delete(postId);
+        });
+        return scores;
+    }
+}
\ No newline at end of file
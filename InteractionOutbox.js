@@ -0,0 +1,199 @@
+/**
+ * Generate an ID that is unique enough to use as an idempotency key
+ */
+export function generateEventId() {
+    if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    return `evt-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * InteractionOutbox - Durable queue of interaction events waiting to be synced
+ * Events are persisted through the storage service, so they survive reloads and
+ * being offline. Each event's ID doubles as its idempotency key.
+ *
+ * Event shape:
+ * { id, clientId, type, postId, payload, createdAt, attempts, nextAttemptAt, status, lastError }
+ * status is 'pending' until the server rejects it for good, then 'failed'.
+ * Sent events are removed. Only the latest maxFailed failed events are kept, and at most
+ * maxEvents in all, so the outbox stays bounded while nothing is syncing it.
+ */
+export class InteractionOutbox {
+    constructor(storageService, { maxEvents = 500, maxFailed = 50 } = {}) {
+        this.storageService = storageService;
+        this.maxEvents = maxEvents;
+        this.maxFailed = maxFailed;
+        this.OUTBOX_KEY = 'outbox';
+        this.CLIENT_ID_KEY = 'client_id';
+        this.listeners = new Set();
+
+        // Every read-modify-write runs on this chain so concurrent updates don't lose events
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run an update against the stored event list, one at a time
+     */
+    update(change) {
+        const run = this.queue.then(async () => {
+            const events = await this.storageService.getItem(this.OUTBOX_KEY) || [];
+            const result = await change(events);
+            if (!(await this.storageService.setItem(this.OUTBOX_KEY, events))) {
+                throw new Error('Failed to save outbox');
+            }
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run.then(result => {
+            this.notify();
+            return result;
+        });
+    }
+
+    /**
+     * Stable ID for this browser, so the server can tell users' votes apart
+     */
+    getClientId() {
+        if (!this.clientIdRequest) {
+            this.clientIdRequest = (async () => {
+                let clientId = await this.storageService.getItem(this.CLIENT_ID_KEY);
+                if (!clientId) {
+                    clientId = generateEventId();
+                    await this.storageService.setItem(this.CLIENT_ID_KEY, clientId);
+                }
+                return clientId;
+            })();
+        }
+        return this.clientIdRequest;
+    }
+
+    /**
+     * Record an interaction event
+     */
+    async enqueue(type, postId, payload = {}) {
+        const event = {
+            id: generateEventId(),
+            clientId: await this.getClientId(),
+            type,
+            postId,
+            payload,
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            status: 'pending',
+            lastError: null
+        };
+
+        await this.update(events => {
+            events.push(event);
+            this.prune(events);
+        });
+        return event;
+    }
+
+    /**
+     * All stored events, oldest first
+     */
+    async getEvents() {
+        await this.queue;
+        return await this.storageService.getItem(this.OUTBOX_KEY) || [];
+    }
+
+    async getPending() {
+        return (await this.getEvents()).filter(event => event.status === 'pending');
+    }
+
+    async getFailed() {
+        return (await this.getEvents()).filter(event => event.status === 'failed');
+    }
+
+    /**
+     * Remove an event once the server has accepted it
+     */
+    async markSent(eventId) {
+        return this.update(events => {
+            const index = events.findIndex(event => event.id === eventId);
+            if (index !== -1) {
+                events.splice(index, 1);
+            }
+        });
+    }
+
+    /**
+     * Record a failed attempt; retry after nextAttemptAt, or give up when permanent
+     */
+    async markFailed(eventId, error, { nextAttemptAt = 0, permanent = false } = {}) {
+        return this.update(events => {
+            const event = events.find(candidate => candidate.id === eventId);
+            if (!event) return;
+
+            event.attempts++;
+            event.lastError = error;
+            event.nextAttemptAt = nextAttemptAt;
+            if (permanent) {
+                event.status = 'failed';
+                this.prune(events);
+            }
+        });
+    }
+
+    /**
+     * Drop the oldest failed events beyond maxFailed, then the oldest events beyond
+     * maxEvents, failed ones first, from a stored event list
+     */
+    prune(events) {
+        const failed = events.filter(event => event.status === 'failed');
+        const pending = events.filter(event => event.status !== 'failed');
+        const failedOverflow = Math.max(0, failed.length - this.maxFailed);
+        const dropped = new Set(failed.slice(0, failedOverflow));
+
+        const overflow = events.length - dropped.size - this.maxEvents;
+        if (overflow > 0) {
+            [...failed.slice(failedOverflow), ...pending].slice(0, overflow).forEach(event => dropped.add(event));
+        }
+
+        if (dropped.size > 0) {
+            const kept = events.filter(event => !dropped.has(event));
+            events.splice(0, events.length, ...kept);
+        }
+    }
+
+    /**
+     * Drop every event about a post, e.g. once the post is deleted
+     */
+    async removeForPost(postId) {
+        return this.update(events => {
+            const kept = events.filter(event => event.postId !== postId);
+            events.splice(0, events.length, ...kept);
+        });
+    }
+
+    /**
+     * Drop events the server rejected for good
+     */
+    async clearFailed() {
+        return this.update(events => {
+            const kept = events.filter(event => event.status !== 'failed');
+            events.splice(0, events.length, ...kept);
+        });
+    }
+
+    /**
+     * Subscribe to outbox changes; returns an unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.warn('Outbox listener failed:', error);
+            }
+        });
+    }
+}
\ No newline at end of file
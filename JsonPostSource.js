@@ -0,0 +1,58 @@
+import { PostSource } from './PostSource.js';
+
+/**
+ * JsonPostSource - Loads posts from a static JSON file with a `photos` array
+ */
+export class JsonPostSource extends PostSource {
+    constructor(url = './social-posts.json') {
+        super('json');
+        this.url = url;
+        this.photos = null;
+    }
+
+    /**
+     * Fetch and convert every post in the JSON file
+     */
+    async fetchPosts() {
+        const photos = await this.loadPhotos();
+        return this.createPosts(photos);
+    }
+
+    /**
+     * Fetch one page of posts, only converting the entries on that page
+     */
+    async fetchPage(cursor = null, limit = 10) {
+        const photos = await this.loadPhotos();
+        const page = this.slicePage(photos, cursor, limit);
+
+        return {
+            items: this.createPosts(page.items, parseInt(cursor, 10) || 0),
+            nextCursor: page.nextCursor
+        };
+    }
+
+    /**
+     * Load the raw photos array, reusing it for subsequent pages
+     */
+    async loadPhotos() {
+        if (this.photos) {
+            return this.photos;
+        }
+
+        console.log('Fetching social posts from:', this.url);
+        const response = await fetch(this.url);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (!data.photos || !Array.isArray(data.photos)) {
+            throw new Error('Invalid data format: photos array not found');
+        }
+
+        this.photos = data.photos;
+        return this.photos;
+    }
+}
\ No newline at end of file
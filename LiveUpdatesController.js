@@ -0,0 +1,111 @@
+/**
+ * LiveUpdatesController - Lit reactive controller that keeps an EventSource open to the
+ * API server's reaction stream while the host is connected
+ *
+ * EventSource resumes with a Last-Event-ID header by itself after a dropped connection.
+ * When the browser gives up instead (HTTP error, server down) the controller reconnects
+ * with backoff and passes the last seen ID as ?lastEventId=.
+ */
+export class LiveUpdatesController {
+    constructor(host, { onReaction, onResync = () => {}, baseDelay = 1000, maxDelay = 30000 }) {
+        this.host = host;
+        this.onReaction = onReaction;
+        this.onResync = onResync;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+
+        this.url = null;
+        this.source = null;
+        this.lastEventId = null;
+        this.attempts = 0;
+        this.timer = null;
+        host.addController(this);
+    }
+
+    hostConnected() {
+        if (this.url && !this.source) {
+            this.open();
+        }
+    }
+
+    hostDisconnected() {
+        this.close();
+    }
+
+    /**
+     * Start streaming from a URL; a new URL starts over without a Last-Event-ID
+     */
+    connect(url) {
+        if (url !== this.url) {
+            this.lastEventId = null;
+        }
+        this.url = url;
+        this.attempts = 0;
+        this.open();
+    }
+
+    disconnect() {
+        this.url = null;
+        this.lastEventId = null;
+        this.close();
+    }
+
+    open() {
+        this.close();
+        if (typeof EventSource === 'undefined') return;
+
+        let url = this.url;
+        if (this.lastEventId) {
+            url += `${url.includes('?') ? '&' : '?'}lastEventId=${encodeURIComponent(this.lastEventId)}`;
+        }
+
+        const source = new EventSource(url);
+        source.addEventListener('open', () => {
+            this.attempts = 0;
+        });
+        source.addEventListener('reaction', async event => {
+            this.lastEventId = event.lastEventId || this.lastEventId;
+            let update;
+            try {
+                update = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed live update:', error);
+                return;
+            }
+            try {
+                await this.onReaction(update);
+            } catch (error) {
+                console.warn('Could not apply live update:', error);
+            }
+        });
+        source.addEventListener('resync', event => {
+            this.lastEventId = event.lastEventId || null;
+            this.onResync();
+        });
+        source.addEventListener('error', () => {
+            // CONNECTING means the browser is already retrying with Last-Event-ID
+            if (source.readyState === EventSource.CLOSED) {
+                this.scheduleReconnect();
+            }
+        });
+        this.source = source;
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    scheduleReconnect() {
+        this.close();
+        if (!this.url) return;
+
+        this.attempts++;
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, this.attempts - 1));
+        this.timer = setTimeout(() => this.open(), delay);
+    }
+}
\ No newline at end of file
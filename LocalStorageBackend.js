@@ -0,0 +1,71 @@
+/**
+ * LocalStorageBackend - Async key/value store on top of window.localStorage
+ * Keys are stored with the mockstagram_ prefix and values as JSON.
+ */
+export class LocalStorageBackend {
+    constructor(prefix = 'mockstagram_') {
+        this.name = 'localstorage';
+        this.prefix = prefix;
+    }
+
+    /**
+     * Read a value, or undefined when the key does not exist
+     */
+    async get(key) {
+        const raw = localStorage.getItem(`${this.prefix}${key}`);
+        if (raw === null) {
+            return undefined;
+        }
+
+        // Older entries were written as bare strings (e.g. the theme), not JSON
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    async set(key, value) {
+        localStorage.setItem(`${this.prefix}${key}`, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(`${this.prefix}${key}`);
+    }
+
+    /**
+     * List every key owned by this backend (without the prefix)
+     */
+    async keys() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => key.slice(this.prefix.length));
+    }
+
+    async clear() {
+        const keys = await this.keys();
+        keys.forEach(key => localStorage.removeItem(`${this.prefix}${key}`));
+    }
+
+    /**
+     * Key counts and approximate size in characters
+     */
+    async stats() {
+        const allKeys = Object.keys(localStorage);
+        const stats = {
+            backend: this.name,
+            totalKeys: allKeys.length,
+            mockstagramKeys: 0,
+            estimatedSize: 0
+        };
+
+        allKeys.forEach(key => {
+            if (key.startsWith(this.prefix)) {
+                stats.mockstagramKeys++;
+                stats.estimatedSize += key.length + localStorage.getItem(key).length;
+            }
+        });
+
+        return stats;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,229 @@
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value, now) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * OutboxSyncWorker - Flushes InteractionOutbox events to an HTTP endpoint, oldest first
+ *
+ * Each event is POSTed as JSON with its ID in an Idempotency-Key header, so a retry
+ * after a lost response is never applied twice. The server answers with:
+ * - 2xx: accepted; the body may carry the post's server state { post: { id, likes, dislikes, vote } }
+ * - 409: conflict; the body carries the server state, which wins, and the event is dropped
+ * - 408/425/429/5xx or a network error: retried with exponential backoff (Retry-After is honoured)
+ * - any other status: rejected for good; the event is kept as 'failed'
+ * A retrying event holds back the events behind it so they reach the server in order.
+ *
+ * getRequest maps an event onto another API's { url, body }; returning null means that
+ * API doesn't take the event, which is then dropped from the outbox.
+ */
+export class OutboxSyncWorker {
+    constructor(outbox, {
+        endpoint,
+        getRequest = null,
+        headers = {},
+        fetchImpl = (...args) => fetch(...args),
+        baseDelay = 1000,
+        maxDelay = 5 * 60 * 1000,
+        onServerState = () => {},
+        onConflict = () => {},
+        now = () => Date.now(),
+        random = Math.random
+    }) {
+        this.outbox = outbox;
+        this.endpoint = endpoint;
+        this.getRequest = getRequest || (event => this.getDefaultRequest(event));
+        this.headers = headers;
+        this.fetchImpl = fetchImpl;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.onServerState = onServerState;
+        this.onConflict = onConflict;
+        this.now = now;
+        this.random = random;
+
+        this.running = false;
+        this.timer = null;
+        this.flushing = null;
+        this.flushFailures = 0;
+        this.handleOnline = () => this.schedule(0);
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        // New events are picked up by a flush in progress, so only wake up when idle
+        this.unsubscribe = this.outbox.onChange(() => {
+            if (!this.flushing) this.schedule(0);
+        });
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.handleOnline);
+        }
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush()
+                .then(() => {
+                    this.flushFailures = 0;
+                })
+                .catch(error => {
+                    // Usually the outbox couldn't be read or saved; back off instead of stalling
+                    this.flushFailures++;
+                    console.warn('Outbox sync failed:', error);
+                    this.schedule(this.getBackoff(this.flushFailures));
+                });
+        }, Math.max(0, delay));
+    }
+
+    /**
+     * Send every due event; resolves to { sent, conflicts, failed, remaining }
+     * Calls made while a flush is running share it.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async drain() {
+        const summary = { sent: 0, conflicts: 0, failed: 0, remaining: 0 };
+
+        while (true) {
+            const pending = await this.outbox.getPending();
+            summary.remaining = pending.length;
+
+            if (pending.length === 0) break;
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) break;
+
+            const event = pending[0];
+            const wait = event.nextAttemptAt - this.now();
+            if (wait > 0) {
+                this.schedule(wait);
+                break;
+            }
+
+            const outcome = await this.send(event);
+            if (outcome === 'retry') break;
+            if (outcome === 'sent') summary.sent++;
+            if (outcome === 'conflict') summary.conflicts++;
+            if (outcome === 'failed') summary.failed++;
+        }
+
+        return summary;
+    }
+
+    getDefaultRequest({ id, clientId, type, postId, payload, createdAt }) {
+        return {
+            url: this.endpoint,
+            body: { id, clientId, type, postId, payload, createdAt }
+        };
+    }
+
+    /**
+     * POST one event and record the outcome: 'sent', 'skipped', 'conflict', 'failed' or 'retry'
+     */
+    async send(event) {
+        const { id, type, postId } = event;
+        const request = this.getRequest(event);
+        let response;
+
+        if (!request) {
+            await this.outbox.markSent(id);
+            return 'skipped';
+        }
+
+        try {
+            response = await this.fetchImpl(request.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': id,
+                    ...this.headers
+                },
+                body: JSON.stringify(request.body)
+            });
+        } catch (error) {
+            return this.retryLater(event, error.message);
+        }
+
+        if (response.ok) {
+            const body = await this.readBody(response);
+            await this.outbox.markSent(id);
+            if (body && body.post) {
+                await this.onServerState(postId, body.post, event);
+            }
+            return 'sent';
+        }
+
+        if (response.status === 409) {
+            const body = await this.readBody(response);
+            await this.outbox.markSent(id);
+            await this.onConflict(event, body ? body.post || null : null);
+            return 'conflict';
+        }
+
+        if (RETRYABLE_STATUSES.includes(response.status)) {
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'), this.now());
+            return this.retryLater(event, `HTTP ${response.status}`, retryAfter);
+        }
+
+        console.warn(`Sync endpoint rejected ${type} event ${id}: HTTP ${response.status}`);
+        await this.outbox.markFailed(id, `HTTP ${response.status}`, { permanent: true });
+        return 'failed';
+    }
+
+    async retryLater(event, error, retryAfter = null) {
+        const delay = retryAfter ?? this.getBackoff(event.attempts + 1);
+        await this.outbox.markFailed(event.id, error, { nextAttemptAt: this.now() + delay });
+        this.schedule(delay);
+        return 'retry';
+    }
+
+    /**
+     * Exponential backoff with jitter: between half and all of baseDelay * 2^(attempt - 1)
+     */
+    getBackoff(attempt) {
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+    }
+
+    async readBody(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+import { getPostTime } from './PostRanking.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function sameText(a, b) {
+    return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+function parseText(value) {
+    const text = String(value ?? '').trim();
+    return text || null;
+}
+
+function parseDay(value) {
+    return DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value)) ? value : null;
+}
+
+function parseCount(value) {
+    const count = value === '' || value === null ? NaN : Number(value);
+    return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+function parseFlag(value) {
+    return value === true || value === 'true' || value === '1' ? true : null;
+}
+
+/**
+ * Filter criteria, in display order
+ * Each type parses a raw value (from the UI, the URL or storage) into a valid
+ * value or null, describes it for a chip, and tests a post against it.
+ */
+export const FILTER_TYPES = {
+    channel: {
+        label: 'Channel',
+        input: 'text',
+        parse: parseText,
+        describe: value => `Channel: ${value}`,
+        test: (post, value) => sameText(post.author?.channel, value)
+    },
+    author: {
+        label: 'Author',
+        input: 'text',
+        parse: parseText,
+        describe: value => `By ${value}`,
+        test: (post, value) => sameText(post.author?.name, value)
+    },
+    since: {
+        label: 'Posted on or after',
+        input: 'date',
+        parse: parseDay,
+        describe: value => `From ${value}`,
+        test: (post, value) => getPostTime(post) !== null && getPostTime(post) >= Date.parse(value)
+    },
+    until: {
+        label: 'Posted on or before',
+        input: 'date',
+        parse: parseDay,
+        describe: value => `Until ${value}`,
+        test: (post, value) => getPostTime(post) !== null && getPostTime(post) <= Date.parse(value)
+    },
+    minLikes: {
+        label: 'Minimum likes',
+        input: 'number',
+        parse: parseCount,
+        describe: value => `${value}+ likes`,
+        test: (post, value) => (post.likes || 0) >= value
+    },
+    liked: {
+        label: 'Liked by me',
+        input: null,
+        parse: parseFlag,
+        describe: () => 'Liked by you',
+        test: post => post.userHasLiked === true
+    },
+    disliked: {
+        label: 'Disliked by me',
+        input: null,
+        parse: parseFlag,
+        describe: () => 'Disliked by you',
+        test: post => post.userHasDisliked === true
+    },
+    hasComments: {
+        label: 'Has comments',
+        input: null,
+        parse: parseFlag,
+        describe: () => 'Has comments',
+        test: post => (post.comments || []).length > 0
+    }
+};
+
+/**
+ * Criteria behind the gallery's quick filter tabs
+ */
+export const FILTER_PRESETS = {
+    all: {},
+    popular: { minLikes: 51 },
+    liked: { liked: true }
+};
+
+/**
+ * PostFilter - Immutable set of filter criteria combined with AND
+ * Holds at most one value per FILTER_TYPES key.
+ */
+export class PostFilter {
+    constructor(criteria = {}) {
+        this.criteria = {};
+
+        // Walk the known types so criteria always come out in the same order
+        Object.entries(FILTER_TYPES).forEach(([type, definition]) => {
+            if (criteria && criteria[type] !== undefined) {
+                const value = definition.parse(criteria[type]);
+                if (value !== null) {
+                    this.criteria[type] = value;
+                }
+            }
+        });
+        Object.freeze(this.criteria);
+    }
+
+    static fromJSON(json) {
+        return new PostFilter(json);
+    }
+
+    static preset(name) {
+        return new PostFilter(FILTER_PRESETS[name] || {});
+    }
+
+    /**
+     * Read criteria from URL search params
+     * Returns null when the params don't mention a filter at all.
+     */
+    static fromParams(params) {
+        const types = Object.keys(FILTER_TYPES).filter(type => params.has(type));
+
+        // Links from before filters were composable used ?filter=<preset>
+        const preset = params.get('filter');
+        if (types.length === 0) {
+            return Object.prototype.hasOwnProperty.call(FILTER_PRESETS, preset) ? PostFilter.preset(preset) : null;
+        }
+
+        const criteria = {};
+        types.forEach(type => {
+            criteria[type] = params.get(type);
+        });
+        return new PostFilter(criteria);
+    }
+
+    get isEmpty() {
+        return Object.keys(this.criteria).length === 0;
+    }
+
+    with(type, value) {
+        return new PostFilter({ ...this.criteria, [type]: value });
+    }
+
+    without(type) {
+        const { [type]: removed, ...rest } = this.criteria;
+        return new PostFilter(rest);
+    }
+
+    matches(post) {
+        return Object.entries(this.criteria).every(([type, value]) =>
+            FILTER_TYPES[type].test(post, value)
+        );
+    }
+
+    apply(posts) {
+        return this.isEmpty ? posts : posts.filter(post => this.matches(post));
+    }
+
+    /**
+     * Chip descriptions for the active criteria: [{ type, label }]
+     */
+    getChips() {
+        return Object.entries(this.criteria).map(([type, value]) => ({
+            type,
+            label: FILTER_TYPES[type].describe(value)
+        }));
+    }
+
+    /**
+     * Write the criteria into URL search params (flags as 1)
+     */
+    toParams(params = new URLSearchParams()) {
+        Object.entries(this.criteria).forEach(([type, value]) => {
+            params.set(type, value === true ? '1' : String(value));
+        });
+        return params;
+    }
+
+    equals(other) {
+        return !!other && JSON.stringify(this.criteria) === JSON.stringify(other.criteria);
+    }
+
+    toJSON() {
+        return { ...this.criteria };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * How quickly trending scores fall off with age (Hacker News style gravity)
+ */
+export const TRENDING_GRAVITY = 1.5;
+
+/**
+ * Timestamp of a post's date, or null when it can't be parsed
+ */
+export function getPostTime(post) {
+    const time = Date.parse(post.date);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * High when a post has lots of votes split close to 50/50
+ */
+export function getControversyScore(post) {
+    const balance = 1 - Math.abs(post.getEngagementRatio() - 0.5) * 2;
+    return post.getTotalEngagement() * balance;
+}
+
+/**
+ * Engagement decayed by the post's age in hours, plus the post's recent activity
+ * `activity` maps post IDs to InteractionEventLog.getActivityScores() values, where
+ * each reaction is decayed by its own age, so posts reacted to lately rise again.
+ */
+export function getTrendingScore(post, now = Date.now(), activity = null) {
+    const recent = activity?.get(post.id) || 0;
+    const time = getPostTime(post);
+    if (time === null) {
+        return recent;
+    }
+    const ageHours = Math.max(0, now - time) / HOUR;
+    return post.getTotalEngagement() / Math.pow(ageHours + 2, TRENDING_GRAVITY) + recent;
+}
+
+/**
+ * Compare dates with undated posts always last
+ */
+function compareTimes(a, b, direction) {
+    const timeA = getPostTime(a);
+    const timeB = getPostTime(b);
+    if (timeA === null || timeB === null) {
+        return (timeA === null) - (timeB === null);
+    }
+    return (timeA - timeB) * direction;
+}
+
+/**
+ * Sort orders offered by the gallery, in display order
+ * 'default' keeps the source's order (or search relevance).
+ */
+export const SORT_ORDERS = {
+    default: {
+        label: 'Feed order',
+        compare: null
+    },
+    newest: {
+        label: 'Newest',
+        compare: (a, b) => compareTimes(a, b, -1)
+    },
+    oldest: {
+        label: 'Oldest',
+        compare: (a, b) => compareTimes(a, b, 1)
+    },
+    'most-liked': {
+        label: 'Most liked',
+        compare: (a, b) => b.likes - a.likes
+    },
+    ratio: {
+        label: 'Highest ratio',
+        compare: (a, b) => b.getEngagementRatio() - a.getEngagementRatio() ||
+                           b.getTotalEngagement() - a.getTotalEngagement()
+    },
+    controversial: {
+        label: 'Controversial',
+        compare: (a, b) => getControversyScore(b) - getControversyScore(a)
+    },
+    trending: {
+        label: 'Trending',
+        compare: (a, b, now, activity) => getTrendingScore(b, now, activity) - getTrendingScore(a, now, activity)
+    }
+};
+
+export function isSortOrder(sortOrder) {
+    return Object.prototype.hasOwnProperty.call(SORT_ORDERS, sortOrder);
+}
+
+/**
+ * Return the posts sorted into a new array (as-is for 'default'); ties keep their original order
+ * `activity` is the recent activity per post used by 'trending', see getTrendingScore.
+ */
+export function sortPosts(posts, sortOrder = 'default', now = Date.now(), activity = null) {
+    const compare = isSortOrder(sortOrder) ? SORT_ORDERS[sortOrder].compare : null;
+    if (!compare) {
+        return posts;
+    }
+    return [...posts].sort((a, b) => compare(a, b, now, activity));
+}
\ No newline at end of file
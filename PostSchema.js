@@ -0,0 +1,220 @@
+import { Comment } from './Comment.js';
+import { REACTION_TYPES } from './Reactions.js';
+
+/**
+ * Field normalizers: each returns the cleaned value, or undefined when the value can't be used
+ */
+function toText(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function toUrl(value) {
+    const text = toText(value);
+    if (!text) return undefined;
+    // Relative paths and data: URLs (posts made in the composer) are fine as image sources
+    return /^(https?:|data:image\/|\.{0,2}\/)/.test(text) ? text : undefined;
+}
+
+/**
+ * Dates become 'YYYY-MM-DD' when they have no time of day, full ISO strings otherwise;
+ * impossible calendar dates like 2024-02-30 are rejected rather than rolled over
+ */
+function toDate(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        const day = value.trim();
+        const time = Date.parse(`${day}T00:00:00Z`);
+        return Number.isFinite(time) && new Date(time).toISOString().startsWith(day) ? day : undefined;
+    }
+
+    const time = typeof value === 'number' ? value : Date.parse(toText(value));
+    return Number.isFinite(time) ? new Date(time).toISOString() : undefined;
+}
+
+function toCount(value) {
+    const count = typeof value === 'string' ? Number(value.trim() || NaN) : value;
+    return Number.isInteger(count) && count >= 0 ? count : undefined;
+}
+
+/**
+ * Joining year as 'YYYY', from a year or a full date; years after this one are rejected
+ */
+function toYear(value) {
+    const text = toText(value);
+    const year = text && /^\d{4}(-|$)/.test(text) ? Number(text.slice(0, 4)) : NaN;
+    return year >= 1900 && year <= new Date().getFullYear() ? String(year) : undefined;
+}
+
+function toReactions(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    return Object.fromEntries(REACTION_TYPES
+        .map(type => [type, toCount(value[type])])
+        .filter(([, count]) => count !== undefined));
+}
+
+/**
+ * Comments that don't make a valid Comment are dropped one by one rather than
+ * failing the whole post
+ */
+function toComments(value) {
+    if (!Array.isArray(value)) return undefined;
+    return value.filter(comment => {
+        try {
+            return comment && typeof comment === 'object' && Comment.fromJSON(comment).isValid();
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * Feed author fields: required ones make the post invalid when missing, optional ones
+ * fall back to the default with a warning
+ */
+export const AUTHOR_SCHEMA = {
+    name: { required: true, normalize: toText },
+    image: { normalize: toUrl, default: null },
+    userSince: { normalize: toYear, default: null },
+    channel: { normalize: toText, default: null }
+};
+
+/**
+ * Feed post fields, mirroring what SocialPost.isValid requires
+ */
+export const POST_SCHEMA = {
+    id: { required: true, normalize: toText },
+    source: { required: true, normalize: toUrl },
+    thumbnail: { normalize: toUrl, default: post => post.source },
+    title: { required: true, normalize: toText },
+    date: { required: true, normalize: toDate },
+    author: { required: true, schema: AUTHOR_SCHEMA },
+    likes: { normalize: toCount, default: 0 },
+    dislikes: { normalize: toCount, default: 0 },
+    reactions: { normalize: toReactions, default: undefined },
+    comments: { normalize: toComments, default: () => [] }
+};
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Normalize a raw object against a schema
+ * Returns { value, issues } where issues are { path, message, severity } and severity
+ * is 'error' for unusable required fields or 'warning' for fields that were defaulted
+ * or dropped. Fields the schema doesn't know are passed through untouched.
+ */
+export function applySchema(raw, schema, path = '') {
+    const value = { ...raw };
+    const issues = [];
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const fieldPath = path + field;
+        const input = raw[field];
+
+        if (rule.schema) {
+            if (!input || typeof input !== 'object' || Array.isArray(input)) {
+                issues.push({ path: fieldPath, message: `${fieldPath} is missing`, severity: 'error' });
+                value[field] = {};
+                return;
+            }
+            const nested = applySchema(input, rule.schema, `${fieldPath}.`);
+            value[field] = nested.value;
+            issues.push(...nested.issues);
+            return;
+        }
+
+        const normalized = isMissing(input) ? undefined : rule.normalize(input);
+        if (normalized !== undefined) {
+            value[field] = normalized;
+            if (Array.isArray(input) && normalized.length < input.length) {
+                issues.push({
+                    path: fieldPath,
+                    message: `Dropped ${input.length - normalized.length} invalid ${fieldPath} ${input.length - normalized.length === 1 ? 'entry' : 'entries'}`,
+                    severity: 'warning'
+                });
+            }
+            return;
+        }
+
+        if (rule.required) {
+            issues.push({
+                path: fieldPath,
+                message: isMissing(input) ? `${fieldPath} is missing` : `${fieldPath} is invalid: ${JSON.stringify(input)}`,
+                severity: 'error'
+            });
+            value[field] = undefined;
+            return;
+        }
+
+        value[field] = typeof rule.default === 'function' ? rule.default(value) : rule.default;
+        if (!isMissing(input)) {
+            issues.push({
+                path: fieldPath,
+                message: `${fieldPath} is invalid: ${JSON.stringify(input)}, using ${JSON.stringify(value[field]) ?? 'nothing'}`,
+                severity: 'warning'
+            });
+        }
+    });
+
+    return { value, issues };
+}
+
+/**
+ * Normalize one raw feed post: { value, issues }, value being null when it isn't an object
+ */
+export function validatePost(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { value: null, issues: [{ path: '', message: 'Post is not an object', severity: 'error' }] };
+    }
+    return applySchema(raw, POST_SCHEMA);
+}
+
+/**
+ * FeedValidationReport - What validating a source's posts found, for the gallery's dev panel
+ * Posts are recorded by ID (or feed position when they have none), so loading the same
+ * page twice doesn't count it twice.
+ */
+export class FeedValidationReport {
+    constructor(source) {
+        this.source = source;
+        this.entries = new Map();
+        this.updatedAt = null;
+    }
+
+    /**
+     * Record one post's outcome; quarantined posts keep their raw data for inspection
+     */
+    record({ index, id, issues, quarantined, raw }) {
+        this.entries.set(id ?? `#${index}`, {
+            index,
+            id: id ?? null,
+            status: quarantined ? 'quarantined' : issues.length > 0 ? 'fixed' : 'valid',
+            issues,
+            raw: quarantined ? raw : undefined
+        });
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Structured report: counts per status plus every post that had issues, in feed order
+     */
+    toJSON() {
+        const entries = [...this.entries.values()];
+        const count = status => entries.filter(entry => entry.status === status).length;
+
+        return {
+            source: this.source,
+            updatedAt: this.updatedAt,
+            total: entries.length,
+            valid: count('valid'),
+            fixed: count('fixed'),
+            quarantined: count('quarantined'),
+            posts: entries
+                .filter(entry => entry.status !== 'valid')
+                .sort((a, b) => a.index - b.index)
+        };
+    }
+}
\ No newline at end of file
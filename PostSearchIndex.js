@@ -0,0 +1,203 @@
+/**
+ * Tokens are either runs of letters/digits (underscores and punctuation split words,
+ * so "coffee_addict_sarah" yields "coffee", "addict", "sarah") or a single emoji,
+ * including modifier, variation-selector and ZWJ sequences such as 💇‍♀️.
+ */
+const TOKEN_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*|[\p{L}\p{N}\p{M}]+/gu;
+const EMOJI_PATTERN = /^\p{Extended_Pictographic}/u;
+
+/**
+ * Searchable fields and how much a match in each one is worth
+ */
+const FIELDS = {
+    title: { weight: 1, get: post => post.title },
+    author: { weight: 2, get: post => post.author?.name },
+    channel: { weight: 2, get: post => post.author?.channel }
+};
+
+/**
+ * Normalize a token for matching: case- and accent-insensitive words, emoji
+ * compared without the optional U+FE0F presentation selector
+ */
+export function normalizeToken(token) {
+    if (EMOJI_PATTERN.test(token)) {
+        return token.replace(/\uFE0F/g, '');
+    }
+    return token.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized tokens with their positions in the original string
+ */
+export function tokenize(text) {
+    if (!text) return [];
+
+    return [...String(text).matchAll(TOKEN_PATTERN)].map(match => ({
+        token: normalizeToken(match[0]),
+        start: match.index,
+        end: match.index + match[0].length,
+        emoji: EMOJI_PATTERN.test(match[0])
+    }));
+}
+
+/**
+ * Split text into [{ text, match }] segments, marking tokens that match any query term
+ * Word terms match by prefix; emoji terms must match exactly.
+ */
+export function highlightSegments(text, terms = []) {
+    const value = text == null ? '' : String(text);
+    if (!value || terms.length === 0) {
+        return [{ text: value, match: false }];
+    }
+
+    const normalizedTerms = terms.map(term => normalizeToken(term));
+    const segments = [];
+    let cursor = 0;
+
+    tokenize(value).forEach(({ token, start, end, emoji }) => {
+        const hit = normalizedTerms.some(term =>
+            emoji ? token === term : token.startsWith(term)
+        );
+        if (!hit) return;
+
+        if (start > cursor) {
+            segments.push({ text: value.slice(cursor, start), match: false });
+        }
+        segments.push({ text: value.slice(start, end), match: true });
+        cursor = end;
+    });
+
+    if (cursor < value.length) {
+        segments.push({ text: value.slice(cursor), match: false });
+    }
+
+    return segments;
+}
+
+/**
+ * PostSearchIndex - Inverted index over post titles, author names and channels
+ * Every query term must match (AND). Exact token matches score higher than prefix
+ * matches, author and channel matches outweigh title matches, and posts whose field
+ * contains the whole query as a phrase get a bonus.
+ */
+export class PostSearchIndex {
+    constructor(posts = []) {
+        this.build(posts);
+    }
+
+    /**
+     * (Re)build the index for a list of posts
+     */
+    build(posts) {
+        this.posts = posts;
+        this.order = new Map();
+        this.fieldText = new Map();
+        // token -> Map(postId -> best field weight)
+        this.postings = new Map();
+
+        posts.forEach((post, position) => {
+            this.order.set(post.id, position);
+            const texts = {};
+
+            Object.entries(FIELDS).forEach(([field, { weight, get }]) => {
+                const tokens = tokenize(get(post));
+                texts[field] = tokens.map(({ token }) => token).join(' ');
+
+                tokens.forEach(({ token }) => {
+                    if (!this.postings.has(token)) {
+                        this.postings.set(token, new Map());
+                    }
+                    const docs = this.postings.get(token);
+                    docs.set(post.id, Math.max(docs.get(post.id) || 0, weight));
+                });
+            });
+
+            this.fieldText.set(post.id, texts);
+        });
+
+        return this;
+    }
+
+    /**
+     * Search the index
+     * Returns { query, terms, total, results: [{ post, score }] } ordered by relevance
+     */
+    search(query) {
+        const queryTokens = tokenize(query);
+        const terms = [...new Set(queryTokens.map(({ token }) => token))];
+
+        if (terms.length === 0) {
+            return { query, terms, total: 0, results: [] };
+        }
+
+        let scores = null;
+        for (const term of terms) {
+            const termScores = this.scoreTerm(term, EMOJI_PATTERN.test(term));
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, postId) => {
+                    if (termScores.has(postId)) {
+                        combined.set(postId, score + termScores.get(postId));
+                    }
+                });
+                scores = combined;
+            }
+
+            if (scores.size === 0) break;
+        }
+
+        const phrase = terms.length > 1 ? terms.join(' ') : null;
+        const results = [];
+
+        scores.forEach((score, postId) => {
+            let total = score;
+
+            if (phrase) {
+                const texts = this.fieldText.get(postId);
+                Object.entries(FIELDS).forEach(([field, { weight }]) => {
+                    if (texts[field].includes(phrase)) {
+                        total += weight * 2;
+                    }
+                });
+            }
+
+            results.push({ post: this.posts[this.order.get(postId)], score: total });
+        });
+
+        results.sort((a, b) =>
+            b.score - a.score || this.order.get(a.post.id) - this.order.get(b.post.id)
+        );
+
+        return { query, terms, total: results.length, results };
+    }
+
+    /**
+     * Score every post containing a term (exact match) or, for words, a token starting with it
+     */
+    scoreTerm(term, isEmoji) {
+        const scores = new Map();
+
+        const add = (docs, factor) => {
+            docs.forEach((weight, postId) => {
+                scores.set(postId, Math.max(scores.get(postId) || 0, weight * factor));
+            });
+        };
+
+        if (this.postings.has(term)) {
+            add(this.postings.get(term), 2);
+        }
+
+        if (!isEmoji) {
+            this.postings.forEach((docs, token) => {
+                if (token !== term && token.startsWith(term)) {
+                    add(docs, 1);
+                }
+            });
+        }
+
+        return scores;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { SocialPost } from './SocialPost.js';
+import { FeedValidationReport, validatePost } from './PostSchema.js';
+
+/**
+ * PostSource - Base adapter for social post data sources
+ * Adapters load raw data from somewhere and turn it into SocialPost entities
+ */
+export class PostSource {
+    constructor(name) {
+        this.name = name;
+        this.validationReport = new FeedValidationReport(name);
+    }
+
+    /**
+     * Fetch all posts from this source as SocialPost entities
+     */
+    async fetchPosts() {
+        throw new Error(`${this.constructor.name} must implement fetchPosts()`);
+    }
+
+    /**
+     * Fetch one page of posts starting at `cursor`
+     * Returns { items, nextCursor } where nextCursor is null at the end of the feed.
+     * The default implementation slices the full list using an offset cursor.
+     */
+    async fetchPage(cursor = null, limit = 10) {
+        const posts = await this.fetchPosts();
+        return this.slicePage(posts, cursor, limit);
+    }
+
+    /**
+     * Slice a full list into a page using a numeric offset cursor
+     */
+    slicePage(posts, cursor, limit) {
+        const offset = cursor ? parseInt(cursor, 10) || 0 : 0;
+        const items = posts.slice(offset, offset + limit);
+        const nextOffset = offset + items.length;
+
+        return {
+            items,
+            nextCursor: nextOffset < posts.length ? String(nextOffset) : null
+        };
+    }
+
+    /**
+     * Validate raw posts against the feed schema and build the usable ones
+     * Fields are normalized first (see PostSchema.js); posts that still fail
+     * SocialPost.isValid are quarantined in the validation report instead of returned.
+     * `offset` is the position of the first item in the whole feed.
+     */
+    createPosts(items, offset = 0) {
+        const posts = [];
+
+        items.forEach((raw, position) => {
+            const index = offset + position;
+            const { value, issues } = validatePost(raw);
+            let post = null;
+
+            if (value && !issues.some(issue => issue.severity === 'error')) {
+                try {
+                    post = this.createPost(value);
+                } catch (error) {
+                    issues.push({ path: '', message: `Post could not be built: ${error.message}`, severity: 'error' });
+                }
+            }
+            if (post && !post.isValid()) {
+                issues.push({ path: '', message: 'Post failed validation', severity: 'error' });
+                post = null;
+            }
+
+            this.validationReport.record({ index, id: value?.id, issues, quarantined: !post, raw });
+            if (post) {
+                posts.push(post);
+            } else {
+                console.warn(`Quarantined post ${value?.id ?? `#${index}`} from ${this.name} feed:`, issues);
+            }
+        });
+
+        return posts;
+    }
+
+    /**
+     * Build a SocialPost entity from a normalized raw post object
+     */
+    createPost(data) {
+        return new SocialPost(
+            data.id,
+            data.source,
+            data.thumbnail || data.source,
+            data.title,
+            data.date,
+            data.author || {},
+            Number(data.likes) || 0,
+            Number(data.dislikes) || 0,
+            Array.isArray(data.comments) ? data.comments : [],
+            data.reactions
+        );
+    }
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { PostSource } from './PostSource.js';
+
+/**
+ * RandomFoxPostSource - Builds posts from the randomfox.ca floof endpoint
+ */
+export class RandomFoxPostSource extends PostSource {
+    constructor({ count = 10, endpoint = 'https://randomfox.ca/floof/' } = {}) {
+        super('random');
+        this.count = count;
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * Fetch `count` random foxes, skipping any request that fails
+     */
+    async fetchPosts() {
+        return this.fetchFoxes(0, this.count);
+    }
+
+    /**
+     * The fox feed never ends, so every page returns a cursor for the next one
+     */
+    async fetchPage(cursor = null, limit = 10) {
+        const offset = cursor ? parseInt(cursor, 10) || 0 : 0;
+        const items = await this.fetchFoxes(offset, limit);
+
+        if (items.length === 0) {
+            throw new Error('No foxes could be fetched');
+        }
+
+        return {
+            items,
+            nextCursor: String(offset + limit)
+        };
+    }
+
+    /**
+     * Fetch `limit` foxes numbered from `offset`
+     */
+    async fetchFoxes(offset, limit) {
+        const posts = [];
+
+        for (let i = offset; i < offset + limit; i++) {
+            const response = await fetch(this.endpoint);
+
+            if (!response.ok) {
+                console.warn(`Failed to fetch fox ${i + 1}, skipping...`);
+                continue;
+            }
+
+            const foxData = await response.json();
+            posts.push(...this.createPosts([this.mapFox(foxData, i)], i));
+        }
+
+        return posts;
+    }
+
+    /**
+     * Map a floof response onto the raw post shape
+     */
+    mapFox(foxData, index) {
+        return {
+            id: `fox-${Date.now()}-${index}`,
+            source: foxData.image,
+            thumbnail: foxData.image,
+            title: `Random Fox Photo #${index + 1} 🦊`,
+            date: new Date().toISOString().split('T')[0],
+            author: {
+                name: 'RandomFox API',
+                image: 'https://randomfox.ca/images/randomfox-logo.png',
+                userSince: '2020',
+                channel: 'Fox Photos'
+            }
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * ReactionStream - Server-Sent Events feed of reaction count changes for the API server
+ *
+ * Each change goes out as
+ *   id: <boot>-<seq>
+ *   event: reaction
+ *   data: { postId, likes, dislikes, reactions, vote }
+ * where vote is the subscribing client's own vote, so the client can rebase its
+ * pending votes on top. A client reconnecting with Last-Event-ID (header or
+ * ?lastEventId=) gets the latest counts of every post changed since; when the
+ * server can't tell what was missed (restart, history overflow) it sends a
+ * `resync` event and the client should reload.
+ */
+export class ReactionStream {
+    constructor(store, { historySize = 500, heartbeatInterval = 25000, retry = 3000 } = {}) {
+        this.store = store;
+        this.historySize = historySize;
+        this.heartbeatInterval = heartbeatInterval;
+        this.retry = retry;
+
+        // Event IDs from before a restart can't be resumed, so they carry the boot time
+        this.boot = Date.now().toString(36);
+        this.seq = 0;
+        this.history = [];
+        this.clients = new Set();
+    }
+
+    get lastEventId() {
+        return `${this.boot}-${this.seq}`;
+    }
+
+    /**
+     * Sequence number a Last-Event-ID resumes from, or null when it's not from this boot
+     */
+    parseEventId(eventId) {
+        const [boot, seq] = String(eventId || '').split('-');
+        const number = Number(seq);
+        return boot === this.boot && Number.isInteger(number) && number <= this.seq ? number : null;
+    }
+
+    /**
+     * Take over an HTTP response as an event stream
+     */
+    async subscribe(request, response, { clientId = null, lastEventId = null } = {}) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        response.write(`retry: ${this.retry}\n\n`);
+
+        // While a resume is replayed, live events wait in buffered so they can't be
+        // overtaken by older replayed counts
+        const client = { response, clientId, buffered: lastEventId ? [] : null };
+        this.clients.add(client);
+
+        const heartbeat = setInterval(() => response.write(': ping\n\n'), this.heartbeatInterval);
+        request.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(client);
+        });
+
+        if (lastEventId) {
+            try {
+                await this.replay(client, lastEventId);
+            } finally {
+                const { buffered } = client;
+                client.buffered = null;
+                if (this.clients.has(client)) {
+                    buffered.forEach(([event, id, data]) => this.write(client, event, id, data));
+                }
+            }
+        }
+    }
+
+    async replay(client, lastEventId) {
+        const from = this.parseEventId(lastEventId);
+        const oldest = this.history.length ? this.history[0].seq : this.seq + 1;
+
+        if (from === null || from < oldest - 1) {
+            this.write(client, 'resync', this.lastEventId, {});
+            return;
+        }
+
+        // Only the latest counts matter, so each missed post is sent once
+        const latest = new Map();
+        this.history
+            .filter(entry => entry.seq > from)
+            .forEach(entry => latest.set(entry.postId, entry.seq));
+
+        const missed = [...latest].sort((a, b) => a[1] - b[1]);
+        for (const [postId, seq] of missed) {
+            const post = await this.store.getById(postId);
+            if (post) {
+                this.write(client, 'reaction', `${this.boot}-${seq}`, this.describe(post, client.clientId));
+            }
+        }
+    }
+
+    /**
+     * Announce that a post's counts changed
+     */
+    publish(post) {
+        this.seq++;
+        this.history.push({ seq: this.seq, postId: post.id });
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        this.clients.forEach(client => {
+            const data = this.describe(post, client.clientId);
+            if (client.buffered) {
+                client.buffered.push(['reaction', this.lastEventId, data]);
+            } else {
+                this.write(client, 'reaction', this.lastEventId, data);
+            }
+        });
+    }
+
+    describe(post, clientId) {
+        return {
+            postId: post.id,
+            likes: post.likes,
+            dislikes: post.dislikes,
+            reactions: post.reactions,
+            vote: (clientId && post.votes[clientId]) || null
+        };
+    }
+
+    write(client, event, id, data) {
+        client.response.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * End every open stream, e.g. before the server shuts down
+     */
+    close() {
+        this.clients.forEach(client => client.response.end());
+        this.clients.clear();
+    }
+}
\ No newline at end of file
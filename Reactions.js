@@ -0,0 +1,47 @@
+/**
+ * Reactions offered in the card's picker, in picker order
+ * Edit this list to change the reaction set; `like` keeps the old like button's
+ * data and must stay first so a plain click still likes.
+ */
+export const REACTIONS = [
+    { type: 'like', emoji: '❤️', label: 'Love' },
+    { type: 'haha', emoji: '😂', label: 'Haha' },
+    { type: 'wow', emoji: '😮', label: 'Wow' },
+    { type: 'sad', emoji: '😢', label: 'Sad' },
+    { type: 'fox', emoji: '🦊', label: 'Fox' }
+];
+
+/**
+ * Dislikes live in the same map and follow the same one-reaction-per-user rule,
+ * but have their own button and don't count as positive engagement
+ */
+export const DISLIKE = { type: 'dislike', emoji: '👎', label: 'Dislike' };
+
+export const REACTION_TYPES = [...REACTIONS, DISLIKE].map(reaction => reaction.type);
+
+export function isReactionType(type) {
+    return REACTION_TYPES.includes(type);
+}
+
+/**
+ * The picker entry for a reaction type, or undefined for unknown types
+ */
+export function getReaction(type) {
+    return [...REACTIONS, DISLIKE].find(reaction => reaction.type === type);
+}
+
+/**
+ * Reaction counts from a raw post or server state: { [type]: count }
+ * Data written before reactions existed only has `likes` and `dislikes`; those fill
+ * in `like` and `dislike` whenever the reactions map doesn't have them. Unknown
+ * types and invalid counts are dropped.
+ */
+export function normalizeReactions({ reactions, likes, dislikes } = {}) {
+    const counts = { ...(reactions && typeof reactions === 'object' ? reactions : {}) };
+    if (counts.like === undefined) counts.like = likes;
+    if (counts.dislike === undefined) counts.dislike = dislikes;
+
+    return Object.fromEntries(REACTION_TYPES
+        .map(type => [type, Number(counts[type])])
+        .filter(([, count]) => Number.isInteger(count) && count > 0));
+}
\ No newline at end of file
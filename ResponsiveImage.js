@@ -0,0 +1,81 @@
+/**
+ * Widths offered in a srcset, in pixels
+ */
+export const IMAGE_WIDTHS = [320, 480, 640, 960, 1280, 1920];
+
+/**
+ * Aspect ratios cards keep photos within, Instagram style: portraits no taller
+ * than 4:5 and panoramas no wider than 1.91:1
+ */
+export const MIN_ASPECT_RATIO = 4 / 5;
+export const MAX_ASPECT_RATIO = 1.91;
+
+function parseUrl(url) {
+    try {
+        return new URL(url, 'http://localhost/');
+    } catch {
+        return null;
+    }
+}
+
+function readDimension(params, name) {
+    const value = Number(params.get(name));
+    return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Size requested through `w`/`h` query parameters, as Unsplash and other imgix-style
+ * CDNs take them: { width, height } (height may be null), or null when the URL has no width
+ */
+export function getRequestedSize(url) {
+    const parsed = typeof url === 'string' && /^https?:/.test(url) ? parseUrl(url) : null;
+    const width = parsed && readDimension(parsed.searchParams, 'w');
+    return width ? { width, height: readDimension(parsed.searchParams, 'h') } : null;
+}
+
+/**
+ * The same image resized to `width`, keeping the requested height in proportion
+ */
+export function getResizedUrl(url, width) {
+    const size = getRequestedSize(url);
+    if (!size) {
+        return url;
+    }
+
+    const parsed = new URL(url);
+    parsed.searchParams.set('w', String(width));
+    if (size.height) {
+        parsed.searchParams.set('h', String(Math.round(width * size.height / size.width)));
+    }
+    return parsed.toString();
+}
+
+/**
+ * srcset for a resizable URL, or null when the URL only comes in one size
+ * Variants go up to twice the requested width for high-density screens.
+ */
+export function getSrcset(url) {
+    const size = getRequestedSize(url);
+    if (!size) {
+        return null;
+    }
+
+    const widths = IMAGE_WIDTHS.filter(width => width < size.width * 2);
+    return [...new Set([...widths, size.width, size.width * 2])]
+        .sort((a, b) => a - b)
+        .map(width => `${getResizedUrl(url, width)} ${width}w`)
+        .join(', ');
+}
+
+/**
+ * Width over height for a post's photo, from the sizes in its source or thumbnail URL,
+ * or from the loaded image; null while unknown. Kept within the card's limits.
+ */
+export function getAspectRatio(post, naturalSize = null) {
+    const size = [naturalSize, getRequestedSize(post?.source), getRequestedSize(post?.thumbnail)]
+        .find(candidate => candidate?.width && candidate?.height);
+    if (!size) {
+        return null;
+    }
+    return Math.min(MAX_ASPECT_RATIO, Math.max(MIN_ASPECT_RATIO, size.width / size.height));
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { PostSource } from './PostSource.js';
+
+/**
+ * Default field mapping - each value is a dot path into a raw feed item
+ * or a function that receives the raw item
+ */
+const DEFAULT_FIELDS = {
+    id: 'id',
+    source: 'source',
+    thumbnail: 'thumbnail',
+    title: 'title',
+    date: 'date',
+    likes: 'likes',
+    dislikes: 'dislikes',
+    author: {
+        name: 'author.name',
+        image: 'author.image',
+        userSince: 'author.userSince',
+        channel: 'author.channel'
+    }
+};
+
+/**
+ * RestPostSource - Loads posts from a generic REST feed using a field-mapping config
+ */
+export class RestPostSource extends PostSource {
+    constructor({ url, itemsPath = '', fields = {}, headers = {} } = {}) {
+        super('rest');
+
+        if (!url) {
+            throw new Error('RestPostSource requires a url');
+        }
+
+        this.url = url;
+        this.itemsPath = itemsPath;
+        this.headers = headers;
+        this.fields = {
+            ...DEFAULT_FIELDS,
+            ...fields,
+            author: { ...DEFAULT_FIELDS.author, ...(fields.author || {}) }
+        };
+    }
+
+    /**
+     * Fetch the feed and map every item through the field config
+     */
+    async fetchPosts() {
+        console.log('Fetching social posts from REST feed:', this.url);
+        const response = await fetch(this.url, { headers: this.headers });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const items = this.itemsPath ? this.resolve(data, this.itemsPath) : data;
+
+        if (!Array.isArray(items)) {
+            throw new Error(`Invalid data format: no array at "${this.itemsPath || '(root)'}"`);
+        }
+
+        return this.createPosts(items.map(item => this.mapItem(item)));
+    }
+
+    /**
+     * Map one raw feed item onto the raw post shape
+     */
+    mapItem(item) {
+        const { author: authorFields, ...postFields } = this.fields;
+        const mapped = {};
+
+        Object.entries(postFields).forEach(([field, path]) => {
+            mapped[field] = this.resolve(item, path);
+        });
+
+        mapped.author = {};
+        Object.entries(authorFields).forEach(([field, path]) => {
+            mapped.author[field] = this.resolve(item, path);
+        });
+
+        return mapped;
+    }
+
+    /**
+     * Resolve a dot path (or mapping function) against an object
+     */
+    resolve(obj, path) {
+        if (typeof path === 'function') {
+            return path(obj);
+        }
+
+        return path.split('.').reduce(
+            (value, key) => (value == null ? undefined : value[key]),
+            obj
+        );
+    }
+}
\ No newline at end of file
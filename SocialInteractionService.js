@@ -1,86 +1,453 @@
+import { Comment } from './Comment.js';
+import { InteractionOutbox, generateEventId } from './InteractionOutbox.js';
+import { InteractionEventLog } from './InteractionEventLog.js';
+import { getReaction } from './Reactions.js';
+
+/**
+ * Event log type for adding or taking back a reaction; like and dislike keep their own types
+ */
+function getReactionEventType(reaction, removed) {
+    if (reaction === 'like' || reaction === 'dislike') {
+        return removed ? `un${reaction}` : reaction;
+    }
+    return removed ? 'unreact' : 'react';
+}
+
 /**
  * SocialInteractionService - Handles social interactions like likes, dislikes, shares
  * Implements business logic for social features
  */
 export class SocialInteractionService {
-    constructor(localStorageService) {
+    constructor(
+        localStorageService,
+        outbox = new InteractionOutbox(localStorageService),
+        eventLog = new InteractionEventLog(localStorageService)
+    ) {
         this.localStorageService = localStorageService;
+        this.outbox = outbox;
+        this.eventLog = eventLog;
+
+        // Views in the same session only count once towards unique views
+        this.sessionId = generateEventId();
     }
 
     /**
-     * Handle like interaction for a post
+     * Record an interaction in the outbox for syncing; the local change stands even if this fails
      */
-    likePost(post) {
+    async recordEvent(type, postId, payload) {
         try {
-            const newLikeCount = post.addLike();
-            const saved = this.localStorageService.setLikes(post.id, newLikeCount);
-            
-            if (saved) {
-                console.log(`Post ${post.id} liked. New count: ${newLikeCount}`);
-                return {
-                    success: true,
-                    newCount: newLikeCount,
-                    message: 'Post liked successfully!'
-                };
-            } else {
-                // Rollback if storage failed
-                post.likes--;
-                return {
-                    success: false,
-                    newCount: post.likes,
-                    message: 'Failed to save like preference'
-                };
+            return await this.outbox.enqueue(type, postId, payload);
+        } catch (error) {
+            console.warn(`Could not queue ${type} event for post ${postId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Add an interaction to the timestamped event log; like recordEvent, failures only warn
+     */
+    async logInteraction(type, postId, details) {
+        try {
+            return await this.eventLog.append(type, postId, details);
+        } catch (error) {
+            console.warn(`Could not log ${type} for post ${postId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Log the events a vote change amounts to: taking back the old reaction, then adding the new one
+     */
+    async logVoteChange(postId, previousVote, vote) {
+        if (previousVote === vote) return;
+
+        const log = (reaction, removed) => {
+            const type = getReactionEventType(reaction, removed);
+            return this.logInteraction(type, postId, type.endsWith('react') ? { reaction } : {});
+        };
+        if (previousVote) {
+            await log(previousVote, true);
+        }
+        if (vote) {
+            await log(vote, false);
+        }
+    }
+
+    /**
+     * Count a view of a post, once it has been on screen long enough
+     */
+    async recordView(post) {
+        try {
+            const counts = await this.localStorageService.recordView(post.id, this.sessionId);
+            if (!counts) {
+                return { success: false, message: 'Failed to save view' };
             }
+
+            post.views = counts.views;
+            post.uniqueViews = counts.uniqueViews;
+            await this.logInteraction('view', post.id);
+            return { success: true, views: counts.views, uniqueViews: counts.uniqueViews };
         } catch (error) {
-            console.error('Error in likePost:', error);
-            return {
-                success: false,
-                newCount: post.likes,
-                message: 'Error processing like'
-            };
+            console.error('Error in recordView:', error);
+            return { success: false, message: 'Error recording view' };
         }
     }
 
+    /**
+     * Count a view of a post by ID within a list, returning a new list for the UI
+     */
+    async handleView(postId, posts) {
+        return this.updatePostInList(postId, posts, post => this.recordView(post));
+    }
+
+    /**
+     * Recent activity per post for trending, see InteractionEventLog.getActivityScores
+     */
+    async getTrendingActivity() {
+        try {
+            return await this.eventLog.getActivityScores();
+        } catch (error) {
+            console.warn('Could not read interaction log:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * Interactions per day for one post, oldest first: [{ day, count }]
+     * types narrows it down, e.g. ['like'] for likes per day.
+     */
+    async getDailyCounts(postId, { types = null, since = null, until = null } = {}) {
+        return this.eventLog.getDailyCounts(postId, { types, since, until });
+    }
+
+    /**
+     * Handle like interaction for a post
+     * Liking again removes the like; liking a disliked post switches the vote
+     */
+    async likePost(post) {
+        const result = await this.castVote(post, post.userHasLiked ? null : 'like');
+        return {
+            ...result,
+            newCount: post.likes,
+            message: result.success
+                ? (result.vote === 'like' ? 'Post liked successfully!' : 'Like removed')
+                : result.message
+        };
+    }
+
     /**
      * Handle dislike interaction for a post
+     * Disliking again removes the dislike; disliking a liked post switches the vote
      */
-    dislikePost(post) {
+    async dislikePost(post) {
+        const result = await this.castVote(post, post.userHasDisliked ? null : 'dislike');
+        return {
+            ...result,
+            newCount: post.dislikes,
+            message: result.success
+                ? (result.vote === 'dislike' ? 'Post disliked successfully!' : 'Dislike removed')
+                : result.message
+        };
+    }
+
+    /**
+     * Handle any reaction to a post (see Reactions.js)
+     * Reacting the same way again removes the reaction; reacting differently replaces it,
+     * as each user has a single reaction per post.
+     */
+    async reactToPost(post, reaction) {
+        if (!getReaction(reaction)) {
+            return { success: false, message: `Unknown reaction "${reaction}"` };
+        }
+
+        const result = await this.castVote(post, post.getUserVote() === reaction ? null : reaction);
+        return {
+            ...result,
+            newCount: post.getReactionCount(reaction),
+            message: result.success
+                ? (result.vote === reaction ? `Reacted with ${getReaction(reaction).label}` : 'Reaction removed')
+                : result.message
+        };
+    }
+
+    /**
+     * Apply the user's single vote to a post and persist it
+     */
+    async castVote(post, vote) {
+        const previousVote = post.getUserVote();
+
         try {
-            const newDislikeCount = post.addDislike();
-            const saved = this.localStorageService.setDislikes(post.id, newDislikeCount);
-            
+            post.setUserVote(vote);
+            const saved = await this.localStorageService.setUserVote(post.id, vote);
+
             if (saved) {
-                console.log(`Post ${post.id} disliked. New count: ${newDislikeCount}`);
+                console.log(`Post ${post.id} vote: ${vote || 'none'}. Likes: ${post.likes}, dislikes: ${post.dislikes}`);
+                await this.recordEvent('vote', post.id, { vote, previousVote });
+                await this.logVoteChange(post.id, previousVote, vote);
                 return {
                     success: true,
-                    newCount: newDislikeCount,
-                    message: 'Post disliked successfully!'
-                };
-            } else {
-                // Rollback if storage failed
-                post.dislikes--;
-                return {
-                    success: false,
-                    newCount: post.dislikes,
-                    message: 'Failed to save dislike preference'
+                    vote,
+                    likes: post.likes,
+                    dislikes: post.dislikes,
+                    reactions: { ...post.reactions }
                 };
             }
+
+            // Rollback if storage failed
+            post.setUserVote(previousVote);
+            return {
+                success: false,
+                vote: previousVote,
+                likes: post.likes,
+                dislikes: post.dislikes,
+                reactions: { ...post.reactions },
+                message: 'Failed to save vote'
+            };
         } catch (error) {
-            console.error('Error in dislikePost:', error);
+            console.error('Error in castVote:', error);
+            post.setUserVote(previousVote);
+            return {
+                success: false,
+                vote: previousVote,
+                likes: post.likes,
+                dislikes: post.dislikes,
+                reactions: { ...post.reactions },
+                message: 'Error processing vote'
+            };
+        }
+    }
+
+    /**
+     * Like a post by ID within a list, returning a new list for the UI
+     */
+    async handleLike(postId, posts) {
+        return this.updatePostInList(postId, posts, post => this.likePost(post));
+    }
+
+    /**
+     * Dislike a post by ID within a list, returning a new list for the UI
+     */
+    async handleDislike(postId, posts) {
+        return this.updatePostInList(postId, posts, post => this.dislikePost(post));
+    }
+
+    /**
+     * React to a post by ID within a list, returning a new list for the UI
+     */
+    async handleReact(postId, posts, reaction) {
+        return this.updatePostInList(postId, posts, post => this.reactToPost(post, reaction));
+    }
+
+    /**
+     * Add a comment (or reply) to a post by ID within a list, returning a new list for the UI
+     */
+    async handleAddComment(postId, posts, text, parentId = null) {
+        return this.updatePostInList(postId, posts, post => this.addComment(post, text, parentId));
+    }
+
+    /**
+     * Remove a comment from a post by ID within a list, returning a new list for the UI
+     */
+    async handleRemoveComment(postId, posts, commentId) {
+        return this.updatePostInList(postId, posts, post => this.removeComment(post, commentId));
+    }
+
+    /**
+     * Share a post by ID, linking to url
+     */
+    async handleShare(postId, post, url) {
+        const result = await this.sharePost(post, url);
+        if (result.success) {
+            await this.logInteraction('share', postId, { method: result.method });
+        }
+        return result;
+    }
+
+    /**
+     * Apply an interaction to a copy of one post so the list can be re-rendered immutably
+     */
+    async updatePostInList(postId, posts, interaction) {
+        const index = posts.findIndex(post => post.id === postId);
+
+        if (index === -1) {
             return {
                 success: false,
-                newCount: post.dislikes,
-                message: 'Error processing dislike'
+                updatedPosts: posts,
+                message: `Post ${postId} not found`
             };
         }
+
+        const updatedPost = posts[index].clone();
+        const result = await interaction(updatedPost);
+
+        if (!result.success) {
+            return { ...result, updatedPosts: posts };
+        }
+
+        const updatedPosts = [...posts];
+        updatedPosts[index] = updatedPost;
+
+        return { ...result, post: updatedPost, updatedPosts };
+    }
+
+    /**
+     * Forget everything recorded about a deleted post, including events not yet synced
+     */
+    async clearPostInteractions(postId) {
+        try {
+            const cleared = await this.localStorageService.clearPostInteractions(postId);
+            await this.outbox.removeForPost(postId);
+            await this.eventLog.removePost(postId);
+            return cleared
+                ? { success: true }
+                : { success: false, message: `Some interactions for post ${postId} could not be removed` };
+        } catch (error) {
+            console.error('Error in clearPostInteractions:', error);
+            return { success: false, message: 'Error clearing post interactions' };
+        }
+    }
+
+    /**
+     * Store the counts the sync server reported and rebase a post in the list onto them
+     */
+    async handleServerState(postId, posts, serverPost) {
+        await this.localStorageService.setServerState(postId, serverPost);
+        return this.updatePostInList(postId, posts, post => {
+            post.rebaseCounts(serverPost, serverPost.vote ?? null);
+            return { success: true, likes: post.likes, dislikes: post.dislikes, reactions: { ...post.reactions } };
+        });
+    }
+
+    /**
+     * Resolve a sync conflict: the server's counts win, but the user's latest vote
+     * is sent again (against the server's view of it) if the two disagree
+     */
+    async resolveConflict(event, serverPost) {
+        if (!serverPost) {
+            return { success: true, resent: false };
+        }
+
+        await this.localStorageService.setServerState(event.postId, serverPost);
+        if (event.type !== 'vote') {
+            return { success: true, resent: false };
+        }
+
+        const serverVote = serverPost.vote ?? null;
+        const localVote = await this.localStorageService.getUserVote(event.postId);
+        const laterVote = (await this.outbox.getPending())
+            .some(pending => pending.type === 'vote' && pending.postId === event.postId);
+
+        if (localVote === serverVote || laterVote) {
+            return { success: true, resent: false };
+        }
+
+        await this.recordEvent('vote', event.postId, { vote: localVote, previousVote: serverVote });
+        return { success: true, resent: true };
+    }
+
+    /**
+     * Add a comment by the current user to a post and persist it
+     */
+    async addComment(post, text, parentId = null) {
+        const trimmed = (text || '').trim();
+
+        if (!trimmed) {
+            return { success: false, message: 'Comment cannot be empty' };
+        }
+
+        const comment = new Comment(
+            Comment.generateId(),
+            await this.getCurrentAuthor(),
+            trimmed,
+            new Date().toISOString(),
+            parentId
+        );
+
+        try {
+            post.addComment(comment);
+        } catch (error) {
+            console.error('Error in addComment:', error);
+            return { success: false, message: error.message };
+        }
+
+        const saved = await this.localStorageService.updateComments(post.id,
+            stored => [...stored, comment.toJSON()]);
+
+        if (!saved) {
+            // Rollback if storage failed
+            post.removeComment(comment.id);
+            return { success: false, message: 'Failed to save comment' };
+        }
+
+        await this.recordEvent('comment.add', post.id, { comment: comment.toJSON() });
+
+        return {
+            success: true,
+            comment,
+            commentCount: post.getCommentCount(),
+            message: parentId ? 'Reply added' : 'Comment added'
+        };
+    }
+
+    /**
+     * Remove one of the current user's comments (and its replies) from a post
+     */
+    async removeComment(post, commentId) {
+        const comment = post.comments.find(existing => existing.id === commentId);
+
+        if (!comment) {
+            return { success: false, message: `Comment ${commentId} not found` };
+        }
+        if (!(await this.isOwnComment(comment))) {
+            return { success: false, message: 'You can only delete your own comments' };
+        }
+
+        const previousComments = post.comments;
+        const removedIds = new Set(post.removeComment(commentId).map(removed => removed.id));
+        const saved = await this.localStorageService.updateComments(post.id,
+            stored => stored.filter(storedComment => !removedIds.has(storedComment.id)));
+
+        if (!saved) {
+            // Rollback if storage failed
+            post.comments = previousComments;
+            return { success: false, message: 'Failed to delete comment' };
+        }
+
+        await this.recordEvent('comment.remove', post.id, { commentIds: [...removedIds] });
+
+        return {
+            success: true,
+            removedIds: [...removedIds],
+            commentCount: post.getCommentCount(),
+            message: 'Comment deleted'
+        };
+    }
+
+    /**
+     * Author details used for comments written by the current user
+     */
+    async getCurrentAuthor() {
+        const preferences = await this.localStorageService.getUserPreferences();
+        return {
+            name: preferences.displayName || 'you',
+            image: preferences.avatar || null
+        };
+    }
+
+    /**
+     * Check whether a comment was written by the current user
+     */
+    async isOwnComment(comment) {
+        const author = await this.getCurrentAuthor();
+        return comment.author.name === author.name;
     }
 
     /**
      * Handle share interaction for a post
      */
-    async sharePost(post) {
+    async sharePost(post, url) {
         try {
-            const shareData = post.getShareableContent();
+            const shareData = post.getShareableContent(url);
 
             // Try native Web Share API first
             if (navigator.share && navigator.canShare && navigator.canShare(shareData)) {
@@ -139,31 +506,58 @@ export class SocialInteractionService {
     }
 
     /**
-     * Load interaction data from storage for a post
+     * Load the user's saved vote and comments for a post and apply them on top of the post's feed data
      */
-    loadPostInteractions(post) {
-        const likes = this.localStorageService.getLikes(post.id);
-        const dislikes = this.localStorageService.getDislikes(post.id);
-        
-        post.likes = likes;
-        post.dislikes = dislikes;
-        
+    async loadPostInteractions(post) {
+        const [vote, comments, views] = await Promise.all([
+            this.localStorageService.getUserVote(post.id),
+            this.localStorageService.getComments(post.id),
+            this.localStorageService.getViews(post.id)
+        ]);
+        post.views = views.views;
+        post.uniqueViews = views.uniqueViews;
+        const serverState = await this.localStorageService.getServerState(post.id);
+        // Posts fetched from the API after the last sync already carry fresher counts
+        if (serverState && !(post.syncedAt && post.syncedAt >= serverState.syncedAt)) {
+            post.rebaseCounts(serverState, serverState.vote);
+        }
+        post.setUserVote(vote);
+
+        comments.forEach(comment => {
+            try {
+                post.addComment(comment);
+            } catch (error) {
+                console.warn(`Skipping stored comment on post ${post.id}:`, error.message);
+            }
+        });
+
         return {
-            likes,
-            dislikes,
+            likes: post.likes,
+            dislikes: post.dislikes,
+            reactions: { ...post.reactions },
+            vote,
+            commentCount: post.getCommentCount(),
             totalEngagement: post.getTotalEngagement()
         };
     }
 
     /**
      * Get engagement statistics across all posts
+     * averageEngagementRatio is the mean share of non-dislike reactions among the
+     * reactions to each post that has any; averageEngagementPerView is the mean
+     * engagement per view of each post that has been viewed.
      */
     getEngagementStats(posts) {
         const stats = {
+            totalPosts: posts ? posts.length : 0,
             totalLikes: 0,
             totalDislikes: 0,
             totalEngagement: 0,
             averageEngagement: 0,
+            averageEngagementRatio: 0,
+            totalViews: 0,
+            totalUniqueViews: 0,
+            averageEngagementPerView: 0,
             mostLikedPost: null,
             mostEngagedPost: null
         };
@@ -174,10 +568,24 @@ export class SocialInteractionService {
 
         let maxLikes = 0;
         let maxEngagement = 0;
+        let ratioSum = 0;
+        let reactedPosts = 0;
+        let perViewSum = 0;
+        let viewedPosts = 0;
 
         posts.forEach(post => {
             stats.totalLikes += post.likes;
             stats.totalDislikes += post.dislikes;
+            if (post.getTotalEngagement() > 0) {
+                ratioSum += post.getEngagementRatio();
+                reactedPosts++;
+            }
+            stats.totalViews += post.views;
+            stats.totalUniqueViews += post.uniqueViews;
+            if (post.views > 0) {
+                perViewSum += post.getEngagementPerView();
+                viewedPosts++;
+            }
             
             const engagement = post.getTotalEngagement();
             stats.totalEngagement += engagement;
@@ -194,6 +602,8 @@ export class SocialInteractionService {
         });
 
         stats.averageEngagement = stats.totalEngagement / posts.length;
+        stats.averageEngagementRatio = reactedPosts ? ratioSum / reactedPosts : 0;
+        stats.averageEngagementPerView = viewedPosts ? perViewSum / viewedPosts : 0;
 
         return stats;
     }
@@ -1,10 +1,12 @@
 import { Author } from './Author.js';
+import { Comment } from './Comment.js';
+import { isReactionType, normalizeReactions } from './Reactions.js';
 
 /**
  * SocialPost Entity - Domain model for social media posts
  */
 export class SocialPost {
-    constructor(id, source, thumbnail, title, date, authorData, likes = 0, dislikes = 0) {
+    constructor(id, source, thumbnail, title, date, authorData, likes = 0, dislikes = 0, comments = [], reactions = null) {
         this.id = id;
         this.source = source;
         this.thumbnail = thumbnail;
@@ -16,24 +18,76 @@ export class SocialPost {
             authorData.userSince,
             authorData.channel
         );
-        this.likes = likes;
-        this.dislikes = dislikes;
+        // { [type]: count }, see Reactions.js; likes and dislikes are its `like` and `dislike`
+        this.reactions = normalizeReactions({ reactions, likes, dislikes });
+        // The current user's single reaction, or null
+        this.userReaction = null;
+        this.comments = comments.map(comment => Comment.fromJSON(comment));
         this.createdAt = new Date();
+        this.syncedAt = null;
+        // Dwell-based views on this device, see SocialInteractionService.recordView
+        this.views = 0;
+        this.uniqueViews = 0;
+    }
+
+    get likes() {
+        return this.reactions.like || 0;
+    }
+
+    set likes(count) {
+        this.reactions.like = count;
+    }
+
+    get dislikes() {
+        return this.reactions.dislike || 0;
+    }
+
+    set dislikes(count) {
+        this.reactions.dislike = count;
+    }
+
+    get userHasLiked() {
+        return this.userReaction === 'like';
+    }
+
+    get userHasDisliked() {
+        return this.userReaction === 'dislike';
     }
 
     /**
-     * Get total engagement (likes + dislikes)
+     * Get the number of reactions of one type
+     */
+    getReactionCount(type) {
+        return this.reactions[type] || 0;
+    }
+
+    /**
+     * Get the number of reactions other than dislikes
+     */
+    getReactionTotal() {
+        return this.getTotalEngagement() - this.dislikes;
+    }
+
+    /**
+     * Get total engagement (all reactions, dislikes included)
      */
     getTotalEngagement() {
-        return this.likes + this.dislikes;
+        return Object.values(this.reactions).reduce((sum, count) => sum + count, 0);
     }
 
     /**
-     * Get engagement ratio (likes / total engagement)
+     * Get engagement ratio (reactions other than dislikes / total engagement)
      */
     getEngagementRatio() {
         const total = this.getTotalEngagement();
-        return total > 0 ? this.likes / total : 0;
+        return total > 0 ? this.getReactionTotal() / total : 0;
+    }
+
+    /**
+     * Get engagement per view, click-through style: reactions and comments over views
+     */
+    getEngagementPerView() {
+        return this.views > 0 ? (this.getTotalEngagement() + this.getCommentCount()) / this.views : 0;
     }
 
     /**
@@ -52,6 +106,179 @@ export class SocialPost {
         return this.dislikes;
     }
 
+    /**
+     * Get the current user's vote on this post: their reaction type or null
+     */
+    getUserVote() {
+        return this.userReaction;
+    }
+
+    /**
+     * Set the current user's vote, moving their single reaction between counters
+     */
+    setUserVote(vote) {
+        if (vote !== null && !isReactionType(vote)) {
+            throw new Error(`Unknown reaction "${vote}"`);
+        }
+
+        if (this.userReaction) {
+            const count = this.getReactionCount(this.userReaction) - 1;
+            if (count > 0) {
+                this.reactions[this.userReaction] = count;
+            } else {
+                delete this.reactions[this.userReaction];
+            }
+        }
+        this.userReaction = vote;
+        if (vote) {
+            this.reactions[vote] = this.getReactionCount(vote) + 1;
+        }
+
+        return this.getUserVote();
+    }
+
+    /**
+     * Take the server's counts and keep the current user's vote on top of them
+     * counts is the server's { reactions } (or { likes, dislikes } from older servers);
+     * serverVote is the user's vote as already included in them.
+     */
+    rebaseCounts(counts, serverVote = null) {
+        const vote = this.getUserVote();
+
+        this.reactions = normalizeReactions(counts);
+        this.userReaction = isReactionType(serverVote) ? serverVote : null;
+
+        return this.setUserVote(vote);
+    }
+
+    /**
+     * Mark the post as just loaded from the server, whose counts already include serverVote
+     */
+    markSynced(serverVote = null) {
+        this.userReaction = isReactionType(serverVote) ? serverVote : null;
+        this.syncedAt = new Date().toISOString();
+    }
+
+    /**
+     * Change the caption and channel of a post the user wrote
+     */
+    edit({ title = this.title, channel = this.author.channel } = {}) {
+        const trimmed = String(title).trim();
+        if (!trimmed) {
+            throw new Error('A post needs a caption');
+        }
+
+        this.title = trimmed;
+        this.author = new Author(
+            this.author.name,
+            this.author.image,
+            this.author.userSince,
+            channel ? String(channel).trim() || null : null
+        );
+    }
+
+    /**
+     * Toggle the current user's like (liking again removes it, liking switches from a dislike)
+     */
+    toggleLike() {
+        return this.setUserVote(this.userHasLiked ? null : 'like');
+    }
+
+    /**
+     * Toggle the current user's dislike (disliking again removes it, disliking switches from a like)
+     */
+    toggleDislike() {
+        return this.setUserVote(this.userHasDisliked ? null : 'dislike');
+    }
+
+    /**
+     * Toggle one reaction (reacting the same way again removes it, any other reaction switches)
+     */
+    toggleReaction(type) {
+        return this.setUserVote(this.userReaction === type ? null : type);
+    }
+
+    /**
+     * Add a comment or reply to this post
+     */
+    addComment(comment) {
+        const entity = Comment.fromJSON(comment);
+
+        if (!entity.isValid()) {
+            throw new Error('Invalid comment');
+        }
+        if (entity.parentId && !this.comments.some(existing => existing.id === entity.parentId)) {
+            throw new Error(`Parent comment ${entity.parentId} not found`);
+        }
+        if (this.comments.some(existing => existing.id === entity.id)) {
+            return entity;
+        }
+
+        this.comments = [...this.comments, entity];
+        return entity;
+    }
+
+    /**
+     * Remove a comment and all of its replies, returning the removed comments
+     */
+    removeComment(commentId) {
+        const removedIds = new Set([commentId]);
+        let grew = true;
+
+        // Collect descendants until no new replies are found
+        while (grew) {
+            grew = false;
+            this.comments.forEach(comment => {
+                if (comment.parentId && removedIds.has(comment.parentId) && !removedIds.has(comment.id)) {
+                    removedIds.add(comment.id);
+                    grew = true;
+                }
+            });
+        }
+
+        const removed = this.comments.filter(comment => removedIds.has(comment.id));
+        this.comments = this.comments.filter(comment => !removedIds.has(comment.id));
+        return removed;
+    }
+
+    /**
+     * Get comments arranged as a reply tree
+     */
+    getCommentThread() {
+        return Comment.buildThread(this.comments);
+    }
+
+    /**
+     * Get the number of comments including replies
+     */
+    getCommentCount() {
+        return this.comments.length;
+    }
+
+    /**
+     * Create a copy of this post, including the current user's vote
+     */
+    clone() {
+        const copy = new SocialPost(
+            this.id,
+            this.source,
+            this.thumbnail,
+            this.title,
+            this.date,
+            this.author,
+            this.likes,
+            this.dislikes,
+            this.comments,
+            this.reactions
+        );
+        copy.userReaction = this.userReaction;
+        copy.createdAt = this.createdAt;
+        copy.syncedAt = this.syncedAt;
+        copy.views = this.views;
+        copy.uniqueViews = this.uniqueViews;
+        return copy;
+    }
+
     /**
      * Get formatted date string
      */
@@ -86,16 +313,34 @@ export class SocialPost {
     }
 
     /**
-     * Get shareable content
+     * Get shareable content for the post's link, which the page builds
      */
-    getShareableContent() {
+    getShareableContent(url) {
         return {
             title: this.title,
             text: `Check out this post by ${this.author.getDisplayName()}!`,
-            url: window.location.href + '#' + this.id
+            url
         };
     }
 
+    /**
+     * Create a post from a stored plain object (see toJSON)
+     */
+    static fromJSON(data) {
+        return new SocialPost(
+            data.id,
+            data.source,
+            data.thumbnail || data.source,
+            data.title,
+            data.date,
+            data.author || {},
+            data.likes || 0,
+            data.dislikes || 0,
+            data.comments || [],
+            data.reactions
+        );
+    }
+
     /**
      * Convert to plain object for storage
      */
@@ -113,7 +358,9 @@ export class SocialPost {
                 channel: this.author.channel
             },
             likes: this.likes,
-            dislikes: this.dislikes
+            dislikes: this.dislikes,
+            reactions: { ...this.reactions },
+            comments: this.comments.map(comment => comment.toJSON())
         };
     }
 }
\ No newline at end of file
@@ -1,15 +1,35 @@
-import { SocialPost } from '../entities/SocialPost.js';
+import { JsonPostSource } from './JsonPostSource.js';
+import { RandomFoxPostSource } from './RandomFoxPostSource.js';
+import { PostSearchIndex } from './PostSearchIndex.js';
+import { SocialPost } from './SocialPost.js';
 
 /**
  * SocialPostRepository - Handles data access for social posts
  * Implements Repository pattern for data abstraction
+ * Posts are loaded through a PostSource adapter (JSON file, random fox API, in-memory, REST)
+ * Posts the user creates are kept in the storage service, unless the source can publish
+ * them, and are listed ahead of the source's posts. Soft-deleted posts are tombstoned
+ * in storage and left out of every listing until the delete is committed or undone.
  */
 export class SocialPostRepository {
-    constructor() {
-        this.dataSource = './data/social-posts.json';
+    constructor(source = new JsonPostSource(), storageService = null) {
+        this.source = source;
+        this.storageService = storageService;
         this.cache = null;
         this.cacheTimestamp = null;
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+        this.searchIndex = null;
+        this.localPosts = null;
+        this.tombstones = null;
+        this.feed = null;
+    }
+
+    /**
+     * Swap the data source adapter and drop anything cached from the old one
+     */
+    setSource(source) {
+        this.source = source;
+        this.clearCache();
     }
 
     /**
@@ -20,41 +40,16 @@ export class SocialPostRepository {
             // Check cache first
             if (this.isCacheValid()) {
                 console.log('Returning cached social posts');
-                return this.cache;
-            }
-
-            console.log('Fetching social posts from:', this.dataSource);
-            const response = await fetch(this.dataSource);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            
-            if (!data.photos || !Array.isArray(data.photos)) {
-                throw new Error('Invalid data format: photos array not found');
+                return this.withLocalPosts(this.cache);
             }
 
-            // Convert raw data to domain entities
-            const posts = data.photos.map(photoData => 
-                new SocialPost(
-                    photoData.id,
-                    photoData.source,
-                    photoData.thumbnail,
-                    photoData.title,
-                    photoData.date,
-                    photoData.author,
-                    photoData.likes || 0,
-                    photoData.dislikes || 0
-                )
-            );
+            const posts = await this.source.fetchPosts();
 
             // Update cache
             this.cache = posts;
             this.cacheTimestamp = Date.now();
 
-            return posts;
+            return this.withLocalPosts(posts);
         } catch (error) {
             console.error('Error in SocialPostRepository.fetchAll:', error);
             throw new Error(`Failed to fetch social posts: ${error.message}`);
@@ -62,41 +57,42 @@ export class SocialPostRepository {
     }
 
     /**
-     * Fetch random fox posts from external API
+     * What validating the current source's posts found so far, see FeedValidationReport
      */
-    async fetchRandomFoxPosts(count = 10) {
+    getValidationReport() {
+        return this.source.validationReport ? this.source.validationReport.toJSON() : null;
+    }
+
+    /**
+     * Fetch one page of posts from the data source
+     * Returns { items, nextCursor }; pass nextCursor back in to get the following page
+     */
+    async fetchPage(cursor = null, limit = 10) {
         try {
-            const posts = [];
-            
-            for (let i = 0; i < count; i++) {
-                const response = await fetch('https://randomfox.ca/floof/');
-                
-                if (!response.ok) {
-                    console.warn(`Failed to fetch fox ${i + 1}, skipping...`);
-                    continue;
-                }
+            // Serve pages from a warm full-list cache when we have one
+            const page = this.isCacheValid()
+                ? this.source.slicePage(this.cache, cursor, limit)
+                : await this.source.fetchPage(cursor, limit);
 
-                const foxData = await response.json();
-                
-                // Create social post from fox data
-                const post = new SocialPost(
-                    `fox-${Date.now()}-${i}`,
-                    foxData.image,
-                    foxData.image,
-                    `Random Fox Photo #${i + 1} 🦊`,
-                    new Date().toISOString().split('T')[0],
-                    {
-                        name: 'RandomFox API',
-                        image: 'https://randomfox.ca/images/randomfox-logo.png',
-                        userSince: '2020',
-                        channel: 'Fox Photos'
-                    }
-                );
-
-                posts.push(post);
+            // Cursors only count the source's posts, so the user's own go on the first page
+            if (!cursor) {
+                page.items = [...await this.getLocalPosts(), ...page.items];
             }
+            const tombstones = await this.getTombstones();
+            page.items = page.items.filter(post => !tombstones[post.id]);
+            return page;
+        } catch (error) {
+            console.error('Error in SocialPostRepository.fetchPage:', error);
+            throw new Error(`Failed to fetch page of social posts: ${error.message}`);
+        }
+    }
 
-            return posts;
+    /**
+     * Fetch random fox posts from external API
+     */
+    async fetchRandomFoxPosts(count = 10) {
+        try {
+            return await new RandomFoxPostSource({ count }).fetchPosts();
         } catch (error) {
             console.error('Error in SocialPostRepository.fetchRandomFoxPosts:', error);
             throw new Error(`Failed to fetch random fox posts: ${error.message}`);
@@ -111,6 +107,190 @@ export class SocialPostRepository {
         return posts.find(post => post.id === id);
     }
 
+    /**
+     * Posts the user created, newest first
+     */
+    async getLocalPosts() {
+        if (!this.localPosts) {
+            const stored = this.storageService ? await this.storageService.getUserPosts() : [];
+            this.localPosts = stored.map(data => SocialPost.fromJSON(data));
+        }
+        return this.localPosts;
+    }
+
+    /**
+     * Soft-deleted post IDs: { [postId]: deletedAt }
+     */
+    async getTombstones() {
+        if (!this.tombstones) {
+            this.tombstones = this.storageService ? await this.storageService.getTombstones() : {};
+        }
+        return this.tombstones;
+    }
+
+    /**
+     * IDs of the posts the current user may edit and delete
+     */
+    async getOwnPostIds() {
+        const local = (await this.getLocalPosts()).map(post => post.id);
+        const published = this.storageService ? await this.storageService.getOwnPostIds() : [];
+        return new Set([...local, ...published]);
+    }
+
+    /**
+     * Source posts with the user's own in front and tombstoned posts left out; the same
+     * array is returned until something changes, so the search index isn't rebuilt for nothing
+     */
+    async withLocalPosts(posts) {
+        const local = await this.getLocalPosts();
+        const tombstones = await this.getTombstones();
+        if (local.length === 0 && Object.keys(tombstones).length === 0) {
+            return posts;
+        }
+        if (!this.feed || this.feed.posts !== posts || this.feed.local !== local || this.feed.tombstones !== tombstones) {
+            const all = [...local, ...posts].filter(post => !tombstones[post.id]);
+            this.feed = { posts, local, tombstones, all };
+        }
+        return this.feed.all;
+    }
+
+    /**
+     * Save a new post: published to the source when it accepts posts, kept locally otherwise
+     */
+    async create(post) {
+        if (!post || !post.isValid()) {
+            throw new Error('Post is missing an image, caption, date or author');
+        }
+
+        try {
+            if (typeof this.source.publish === 'function') {
+                const published = await this.source.publish(post);
+                if (this.storageService) {
+                    await this.storageService.addOwnPostId(published.id);
+                }
+                this.clearCache();
+                return published;
+            }
+
+            if (!this.storageService || !(await this.storageService.saveUserPost(post.toJSON()))) {
+                throw new Error('Post could not be saved');
+            }
+            this.localPosts = null;
+            return post;
+        } catch (error) {
+            console.error('Error in SocialPostRepository.create:', error);
+            throw new Error(`Failed to create post: ${error.message}`);
+        }
+    }
+
+    /**
+     * Change the caption and/or channel of one of the user's posts
+     */
+    async update(postId, { title, channel }) {
+        try {
+            const localPost = (await this.storageService?.getUserPosts() || []).find(post => post.id === postId);
+
+            if (localPost) {
+                const updated = SocialPost.fromJSON(localPost);
+                updated.edit({ title, channel });
+                const saved = await this.storageService.updateUserPost(postId, stored => ({
+                    ...stored,
+                    title: updated.title,
+                    author: { ...stored.author, channel: updated.author.channel }
+                }));
+                if (!saved) {
+                    throw new Error('Post could not be saved');
+                }
+                this.localPosts = null;
+                return true;
+            }
+
+            if ((await this.getOwnPostIds()).has(postId) && typeof this.source.updatePost === 'function') {
+                await this.source.updatePost(postId, { title, channel });
+                this.clearCache();
+                return true;
+            }
+
+            throw new Error('Only your own posts can be edited');
+        } catch (error) {
+            console.error('Error in SocialPostRepository.update:', error);
+            throw new Error(`Failed to update post: ${error.message}`);
+        }
+    }
+
+    /**
+     * Hide a post straight away; it is only removed for good by commitDelete
+     */
+    async softDelete(postId) {
+        if (!this.storageService || !(await this.storageService.addTombstone(postId))) {
+            throw new Error('Failed to delete post');
+        }
+        this.tombstones = null;
+    }
+
+    /**
+     * Undo a soft delete
+     */
+    async restore(postId) {
+        if (!this.storageService || !(await this.storageService.removeTombstone(postId))) {
+            throw new Error('Failed to restore post');
+        }
+        this.tombstones = null;
+    }
+
+    /**
+     * Remove a soft-deleted post for good
+     * The tombstone is only cleared once the post is gone, so a delete that fails
+     * (e.g. offline) keeps the post hidden and can be committed again later.
+     */
+    async commitDelete(postId) {
+        try {
+            const localPosts = await this.storageService.getUserPosts();
+
+            if (localPosts.some(post => post.id === postId)) {
+                await this.storageService.removeUserPost(postId);
+            } else if (typeof this.source.removePost === 'function') {
+                await this.source.removePost(postId);
+                await this.storageService.removeOwnPostId(postId);
+            } else {
+                throw new Error(`The ${this.source.name} source doesn't support deleting posts`);
+            }
+
+            await this.storageService.removeTombstone(postId);
+            this.clearCache();
+        } catch (error) {
+            console.error('Error in SocialPostRepository.commitDelete:', error);
+            throw new Error(`Failed to delete post: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send the current user's vote on a post to the data source, when it takes reactions
+     * Returns the source's { id, likes, dislikes, vote } for the post.
+     */
+    async react(postId, vote, options = {}) {
+        if (typeof this.source.react !== 'function') {
+            throw new Error(`The ${this.source.name} source doesn't accept reactions`);
+        }
+
+        try {
+            return await this.source.react(postId, vote, options);
+        } catch (error) {
+            console.error('Error in SocialPostRepository.react:', error);
+            throw new Error(`Failed to send reaction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Engagement stats computed by the data source, or null when it can't provide them
+     */
+    async fetchStats() {
+        if (typeof this.source.fetchStats !== 'function') {
+            return null;
+        }
+        return this.source.fetchStats();
+    }
+
     /**
      * Get posts by author
      */
@@ -127,10 +307,25 @@ export class SocialPostRepository {
     async findByChannel(channelName) {
         const posts = await this.fetchAll();
         return posts.filter(post => 
-            post.author.channel.toLowerCase().includes(channelName.toLowerCase())
+            (post.author.channel || '').toLowerCase().includes(channelName.toLowerCase())
         );
     }
 
+    /**
+     * Full-text search across post titles, author names and channels
+     * Returns { query, terms, total, results: [{ post, score }] } ranked by relevance
+     */
+    async search(query) {
+        const posts = await this.fetchAll();
+
+        // Rebuild the index whenever the underlying post list changes
+        if (!this.searchIndex || this.searchIndex.posts !== posts) {
+            this.searchIndex = new PostSearchIndex(posts);
+        }
+
+        return this.searchIndex.search(query);
+    }
+
     /**
      * Check if cache is still valid
      */
@@ -146,5 +341,9 @@ export class SocialPostRepository {
     clearCache() {
         this.cache = null;
         this.cacheTimestamp = null;
+        this.searchIndex = null;
+        this.localPosts = null;
+        this.tombstones = null;
+        this.feed = null;
     }
 }
\ No newline at end of file
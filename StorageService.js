@@ -0,0 +1,575 @@
+import { isReactionType } from './Reactions.js';
+
+// Sessions remembered per post for unique views; a session that drops off the list can count again
+const MAX_COUNTED_SESSIONS = 50;
+
+function readSavedViews(preferences) {
+    return Array.isArray(preferences.savedViews) ? preferences.savedViews : [];
+}
+
+function readFollows(preferences) {
+    const follows = preferences.follows || {};
+    return {
+        channels: Array.isArray(follows.channels) ? follows.channels : [],
+        authors: Array.isArray(follows.authors) ? follows.authors : []
+    };
+}
+
+function readViews(stored) {
+    let sessionIds = Array.isArray(stored?.sessionIds) ? stored.sessionIds : [];
+    // Counts saved before sessionIds existed only remember the latest session
+    if (sessionIds.length === 0 && stored?.lastSessionId) {
+        sessionIds = [stored.lastSessionId];
+    }
+    return {
+        views: stored?.views || 0,
+        uniqueViews: stored?.uniqueViews || 0,
+        sessionIds,
+        lastViewedAt: stored?.lastViewedAt || null
+    };
+}
+
+/**
+ * StorageService - Async domain storage on top of a key/value backend
+ * Provides the domain-specific methods (likes, votes, comments, theme, preferences)
+ * shared by the localStorage and IndexedDB implementations.
+ */
+export class StorageService {
+    constructor(backend) {
+        this.backend = backend;
+        this.INTERACTIONS_KEY = 'social_interactions';
+        this.LIKES_KEY = 'likes';
+        this.DISLIKES_KEY = 'dislikes';
+        this.COMMENTS_KEY = 'comments';
+        this.THEME_KEY = 'theme';
+        this.USER_PREFERENCES_KEY = 'user_preferences';
+        this.SERVER_STATE_KEY = 'server_state';
+        this.USER_POSTS_KEY = 'user_posts';
+        this.OWN_POSTS_KEY = 'own_posts';
+        this.TOMBSTONES_KEY = 'post_tombstones';
+        this.VIEWS_KEY = 'views';
+
+        // Every read-modify-write runs on this chain so concurrent updates don't lose changes
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Resolve once the backend is usable; implementations can override to run setup
+     */
+    async whenReady() {
+        return true;
+    }
+
+    /**
+     * Default user preferences
+     */
+    getDefaultPreferences() {
+        return {
+            apiMode: 'custom',
+            autoLoadImages: true,
+            enableNotifications: false,
+            displayName: 'you',
+            sortOrder: 'default'
+        };
+    }
+
+    /**
+     * Get likes for a specific post
+     */
+    async getLikes(postId) {
+        try {
+            await this.whenReady();
+            const likes = await this.backend.get(`${this.LIKES_KEY}_${postId}`);
+            return likes ? parseInt(likes, 10) : 0;
+        } catch (error) {
+            console.warn('Error reading likes from storage:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Set likes for a specific post
+     */
+    async setLikes(postId, count) {
+        try {
+            await this.whenReady();
+            await this.backend.set(`${this.LIKES_KEY}_${postId}`, count);
+            return true;
+        } catch (error) {
+            console.error('Error saving likes to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get dislikes for a specific post
+     */
+    async getDislikes(postId) {
+        try {
+            await this.whenReady();
+            const dislikes = await this.backend.get(`${this.DISLIKES_KEY}_${postId}`);
+            return dislikes ? parseInt(dislikes, 10) : 0;
+        } catch (error) {
+            console.warn('Error reading dislikes from storage:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Set dislikes for a specific post
+     */
+    async setDislikes(postId, count) {
+        try {
+            await this.whenReady();
+            await this.backend.set(`${this.DISLIKES_KEY}_${postId}`, count);
+            return true;
+        } catch (error) {
+            console.error('Error saving dislikes to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the comments the user has added to a specific post
+     */
+    async getComments(postId) {
+        try {
+            await this.whenReady();
+            const comments = await this.backend.get(`${this.COMMENTS_KEY}_${postId}`);
+            return Array.isArray(comments) ? comments : [];
+        } catch (error) {
+            console.warn('Error reading comments from storage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Set the comments the user has added to a specific post
+     */
+    async setComments(postId, comments) {
+        return this.updateComments(postId, () => comments);
+    }
+
+    /**
+     * Change the comments the user has added to a post, starting from the stored list
+     */
+    async updateComments(postId, change) {
+        try {
+            await this.update(`${this.COMMENTS_KEY}_${postId}`, stored => {
+                const comments = change(Array.isArray(stored) ? stored : []);
+                return comments.length === 0 ? undefined : comments;
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving comments to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the last counts the sync server reported for a post: { likes, dislikes, reactions, vote } or null
+     */
+    async getServerState(postId) {
+        return this.getItem(`${this.SERVER_STATE_KEY}_${postId}`);
+    }
+
+    /**
+     * Remember the counts the sync server reported for a post
+     */
+    async setServerState(postId, state) {
+        try {
+            await this.update(`${this.SERVER_STATE_KEY}_${postId}`, () => ({
+                likes: state.likes,
+                dislikes: state.dislikes,
+                reactions: state.reactions,
+                vote: state.vote ?? null,
+                syncedAt: new Date().toISOString()
+            }));
+            return true;
+        } catch (error) {
+            console.error('Error saving server state to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get a post's view counts: { views, uniqueViews, sessionIds, lastViewedAt }
+     * sessionIds holds the sessions already counted as unique views, oldest first.
+     */
+    async getViews(postId) {
+        return readViews(await this.getItem(`${this.VIEWS_KEY}_${postId}`));
+    }
+
+    /**
+     * Count a view of a post; the first view in a session also counts as a unique view
+     * Returns the updated counts, or null when they could not be saved.
+     */
+    async recordView(postId, sessionId) {
+        try {
+            return await this.update(`${this.VIEWS_KEY}_${postId}`, stored => {
+                const counts = readViews(stored);
+                counts.views++;
+                if (!counts.sessionIds.includes(sessionId)) {
+                    counts.uniqueViews++;
+                    counts.sessionIds = [...counts.sessionIds, sessionId].slice(-MAX_COUNTED_SESSIONS);
+                }
+                counts.lastViewedAt = new Date().toISOString();
+                return counts;
+            });
+        } catch (error) {
+            console.error('Error saving views to storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the posts the user created, newest first, as plain objects
+     */
+    async getUserPosts() {
+        const posts = await this.getItem(this.USER_POSTS_KEY);
+        return Array.isArray(posts) ? posts : [];
+    }
+
+    /**
+     * Store a post the user created (replacing one with the same ID) at the top of the list
+     */
+    async saveUserPost(post) {
+        try {
+            await this.update(this.USER_POSTS_KEY, stored => [
+                post,
+                ...(Array.isArray(stored) ? stored : []).filter(existing => existing.id !== post.id)
+            ]);
+            return true;
+        } catch (error) {
+            console.error('Error saving post to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Change a post the user created, keeping its place in the list
+     * Returns false when the post isn't stored or could not be saved.
+     */
+    async updateUserPost(postId, change) {
+        let found = false;
+        const saved = await this.tryUpdate(this.USER_POSTS_KEY, stored =>
+            (Array.isArray(stored) ? stored : []).map(post => {
+                if (post.id !== postId) return post;
+                found = true;
+                return change(post);
+            })
+        );
+        return saved && found;
+    }
+
+    async removeUserPost(postId) {
+        return this.tryUpdate(this.USER_POSTS_KEY, stored =>
+            (Array.isArray(stored) ? stored : []).filter(post => post.id !== postId)
+        );
+    }
+
+    /**
+     * IDs of posts the user published to a server, so they can still edit them
+     */
+    async getOwnPostIds() {
+        const ids = await this.getItem(this.OWN_POSTS_KEY);
+        return Array.isArray(ids) ? ids : [];
+    }
+
+    async addOwnPostId(postId) {
+        return this.tryUpdate(this.OWN_POSTS_KEY, stored => [
+            ...(Array.isArray(stored) ? stored : []).filter(id => id !== postId),
+            postId
+        ]);
+    }
+
+    async removeOwnPostId(postId) {
+        return this.tryUpdate(this.OWN_POSTS_KEY, stored =>
+            (Array.isArray(stored) ? stored : []).filter(id => id !== postId)
+        );
+    }
+
+    /**
+     * Soft-deleted posts waiting to be deleted for good: { [postId]: deletedAt }
+     */
+    async getTombstones() {
+        return await this.getItem(this.TOMBSTONES_KEY) || {};
+    }
+
+    async addTombstone(postId) {
+        return this.tryUpdate(this.TOMBSTONES_KEY, stored => ({
+            ...(stored || {}),
+            [postId]: new Date().toISOString()
+        }));
+    }
+
+    async removeTombstone(postId) {
+        return this.tryUpdate(this.TOMBSTONES_KEY, stored => {
+            const tombstones = stored || {};
+            delete tombstones[postId];
+            return tombstones;
+        });
+    }
+
+    /**
+     * Forget every like, vote, comment and synced count stored for a post
+     */
+    async clearPostInteractions(postId) {
+        const postKeys = [this.LIKES_KEY, this.DISLIKES_KEY, this.COMMENTS_KEY, this.SERVER_STATE_KEY, this.VIEWS_KEY]
+            .map(key => `${key}_${postId}`);
+
+        const results = await Promise.all([
+            this.tryUpdate(this.INTERACTIONS_KEY, stored => {
+                const interactions = stored || {};
+                delete interactions[postId];
+                return interactions;
+            }),
+            ...postKeys.map(key => this.tryUpdate(key, () => undefined))
+        ]);
+        return results.every(Boolean);
+    }
+
+    /**
+     * Get a stored value by key
+     */
+    async getItem(key) {
+        try {
+            await this.whenReady();
+            const value = await this.backend.get(key);
+            return value === undefined ? null : value;
+        } catch (error) {
+            console.warn(`Error reading ${key} from storage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value by key
+     */
+    async setItem(key, value) {
+        try {
+            await this.whenReady();
+            await this.backend.set(key, value);
+            return true;
+        } catch (error) {
+            console.error(`Error saving ${key} to storage:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Pass a stored value to change and store what it returns, one update at a time;
+     * returning undefined removes the key
+     * Resolves to the new value, or rejects when it could not be saved.
+     */
+    update(key, change) {
+        const run = this.queue.then(async () => {
+            await this.whenReady();
+            const value = await change(await this.getItem(key));
+            if (value === undefined) {
+                await this.backend.remove(key);
+            } else {
+                await this.backend.set(key, value);
+            }
+            return value;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Like update, but resolves to whether the change was saved
+     */
+    async tryUpdate(key, change) {
+        try {
+            await this.update(key, change);
+            return true;
+        } catch (error) {
+            console.error(`Error updating ${key} in storage:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * List every key held by the backend
+     */
+    async getKeys() {
+        try {
+            await this.whenReady();
+            return await this.backend.keys();
+        } catch (error) {
+            console.warn('Error listing storage keys:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the current user's vote for a post: a reaction type (see Reactions.js) or null
+     */
+    async getUserVote(postId) {
+        const interactions = await this.getItem(this.INTERACTIONS_KEY) || {};
+        const saved = interactions[postId];
+
+        if (!saved) return null;
+        if (isReactionType(saved.reaction)) return saved.reaction;
+        // Saved before reactions existed
+        if (saved.userHasLiked) return 'like';
+        if (saved.userHasDisliked) return 'dislike';
+        return null;
+    }
+
+    /**
+     * Set the current user's vote for a post, removing the entry when the vote is cleared
+     * The like/dislike flags are kept alongside the reaction for data exported to older versions.
+     */
+    async setUserVote(postId, vote) {
+        try {
+            await this.update(this.INTERACTIONS_KEY, stored => {
+                const interactions = stored || {};
+                if (isReactionType(vote)) {
+                    interactions[postId] = {
+                        reaction: vote,
+                        userHasLiked: vote === 'like',
+                        userHasDisliked: vote === 'dislike'
+                    };
+                } else {
+                    delete interactions[postId];
+                }
+                return interactions;
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving vote to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get user theme preference
+     */
+    async getTheme() {
+        const theme = await this.getItem(this.THEME_KEY);
+        return theme || 'light';
+    }
+
+    /**
+     * Set user theme preference
+     */
+    async setTheme(theme) {
+        return this.setItem(this.THEME_KEY, theme);
+    }
+
+    /**
+     * Get user preferences
+     */
+    async getUserPreferences() {
+        const prefs = await this.getItem(this.USER_PREFERENCES_KEY);
+        return prefs || this.getDefaultPreferences();
+    }
+
+    /**
+     * Set user preferences
+     */
+    async setUserPreferences(preferences) {
+        try {
+            await this.update(this.USER_PREFERENCES_KEY, () => preferences);
+            return true;
+        } catch (error) {
+            console.error('Error saving preferences to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Merge changes into the stored user preferences; changes can be a function of the
+     * current preferences
+     * Resolves to the updated preferences, or null when they could not be saved.
+     */
+    async updateUserPreferences(changes) {
+        try {
+            return await this.update(this.USER_PREFERENCES_KEY, stored => {
+                const current = stored || this.getDefaultPreferences();
+                return { ...current, ...(typeof changes === 'function' ? changes(current) : changes) };
+            });
+        } catch (error) {
+            console.error('Error saving preferences to storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the user's named filter views: [{ name, filter }]
+     */
+    async getSavedViews() {
+        return readSavedViews(await this.getUserPreferences());
+    }
+
+    /**
+     * Save a named view, replacing any view with the same name; returns the updated list
+     */
+    async saveView(name, filter) {
+        const preferences = await this.updateUserPreferences(current => ({
+            savedViews: [...readSavedViews(current).filter(view => view.name !== name), { name, filter }]
+        }));
+        return preferences ? preferences.savedViews : this.getSavedViews();
+    }
+
+    /**
+     * Delete a named view; returns the updated list
+     */
+    async deleteView(name) {
+        const preferences = await this.updateUserPreferences(current => ({
+            savedViews: readSavedViews(current).filter(view => view.name !== name)
+        }));
+        return preferences ? preferences.savedViews : this.getSavedViews();
+    }
+
+    /**
+     * Get the channels and authors the user follows: { channels: [], authors: [] }
+     */
+    async getFollows() {
+        return readFollows(await this.getUserPreferences());
+    }
+
+    /**
+     * Follow or unfollow a channel or author (type is 'channels' or 'authors'); returns the updated follows
+     */
+    async setFollowing(type, name, following) {
+        const preferences = await this.updateUserPreferences(current => {
+            const follows = readFollows(current);
+            const names = follows[type].filter(existing => existing.toLowerCase() !== name.toLowerCase());
+            if (following) {
+                names.push(name);
+            }
+            return { follows: { ...follows, [type]: names } };
+        });
+        return preferences ? readFollows(preferences) : this.getFollows();
+    }
+
+    /**
+     * Clear all stored data for a fresh start
+     */
+    async clearAll() {
+        try {
+            await this.whenReady();
+            await this.backend.clear();
+            return true;
+        } catch (error) {
+            console.error('Error clearing storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get storage usage statistics
+     */
+    async getStorageStats() {
+        try {
+            await this.whenReady();
+            return await this.backend.stats();
+        } catch (error) {
+            console.error('Error getting storage stats:', error);
+            return { backend: this.backend.name, totalKeys: 0, mockstagramKeys: 0, estimatedSize: 0 };
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * VirtualGridController - Windowed rendering for a grid of variable-height cards
+ * Lit reactive controller that splits items into rows, keeps only the rows near
+ * the viewport (plus a buffer) mounted, and pads the rest with spacer heights.
+ *
+ * Row heights start as an estimate and are replaced by measurements as rows
+ * render. When a row above the viewport changes height, the window is scrolled
+ * by the difference so the content the user is looking at stays put.
+ */
+export class VirtualGridController {
+    constructor(host, {
+        getItems,
+        getKey = item => item.id,
+        gridSelector = '.posts-grid',
+        minColumnWidth = 300,
+        buffer = 2,
+        estimateRowHeight = () => Math.max(600, window.innerHeight * 0.8)
+    }) {
+        this.host = host;
+        this.getItems = getItems;
+        this.getKey = getKey;
+        this.gridSelector = gridSelector;
+        this.minColumnWidth = minColumnWidth;
+        this.buffer = buffer;
+        this.estimateRowHeight = estimateRowHeight;
+
+        // Measured row heights, keyed by item so they survive re-chunking into rows
+        this.itemHeights = new Map();
+        this.columns = 1;
+        this.rowGap = 30;
+        this.columnGap = 30;
+        this.firstVisibleRow = 0;
+        this.frame = null;
+
+        this.handleScroll = this.handleScroll.bind(this);
+        host.addController(this);
+    }
+
+    hostConnected() {
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        window.addEventListener('resize', this.handleScroll, { passive: true });
+        this.resizeObserver = new ResizeObserver(() => this.measure());
+    }
+
+    hostDisconnected() {
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleScroll);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    hostUpdated() {
+        const grid = this.getGrid();
+        if (!grid) return;
+
+        // Re-observe the rows that are mounted right now
+        this.resizeObserver?.disconnect();
+        grid.querySelectorAll('[data-row]').forEach(row => this.resizeObserver?.observe(row));
+
+        // Mounted rows were chunked for the old layout, so only measure once it is stable
+        if (!this.updateLayout(grid)) {
+            this.measure();
+        }
+    }
+
+    /**
+     * Compute the rows to render for the current scroll position
+     * Returns { rows, columns, topPadding, bottomPadding } where each row is { index, items }
+     */
+    getWindow() {
+        const items = this.getItems();
+        const rowCount = Math.ceil(items.length / this.columns);
+        const offsets = this.getRowOffsets(items, rowCount);
+        const totalHeight = rowCount > 0 ? offsets[rowCount] - this.rowGap : 0;
+
+        const { top, bottom } = this.getViewport();
+        let startRow = 0;
+        while (startRow < rowCount - 1 && offsets[startRow + 1] <= top) {
+            startRow++;
+        }
+        let endRow = startRow;
+        while (endRow < rowCount - 1 && offsets[endRow + 1] < bottom) {
+            endRow++;
+        }
+
+        this.firstVisibleRow = startRow;
+        startRow = Math.max(0, startRow - this.buffer);
+        endRow = Math.min(rowCount - 1, endRow + this.buffer);
+
+        const rows = [];
+        for (let index = startRow; index <= endRow && rowCount > 0; index++) {
+            rows.push({
+                index,
+                items: items.slice(index * this.columns, (index + 1) * this.columns)
+            });
+        }
+
+        const renderedBottom = rowCount > 0 ? offsets[endRow + 1] - this.rowGap : 0;
+
+        return {
+            rows,
+            columns: this.columns,
+            topPadding: rowCount > 0 ? offsets[startRow] : 0,
+            bottomPadding: Math.max(0, totalHeight - renderedBottom)
+        };
+    }
+
+    /**
+     * Scroll the window so the row holding an item is near the top of the viewport
+     * Returns false when the item is not in the grid.
+     */
+    scrollToKey(key, { offset = 80, behavior = 'smooth' } = {}) {
+        const grid = this.getGrid();
+        const items = this.getItems();
+        const index = items.findIndex(item => this.getKey(item) === key);
+        if (!grid || index === -1) {
+            return false;
+        }
+
+        const row = Math.floor(index / this.columns);
+        const rowTop = this.getRowOffsets(items, row)[row];
+        const gridTop = grid.getBoundingClientRect().top + window.scrollY;
+
+        window.scrollTo({ top: Math.max(0, gridTop + rowTop - offset), behavior });
+        return true;
+    }
+
+    /**
+     * Cumulative top offset of each row (offsets[rowCount] is the total plus one gap)
+     */
+    getRowOffsets(items, rowCount) {
+        const offsets = [0];
+        for (let row = 0; row < rowCount; row++) {
+            offsets.push(offsets[row] + this.getRowHeight(items, row) + this.rowGap);
+        }
+        return offsets;
+    }
+
+    getRowHeight(items, row) {
+        let height = 0;
+        const rowItems = items.slice(row * this.columns, (row + 1) * this.columns);
+        rowItems.forEach(item => {
+            height = Math.max(height, this.itemHeights.get(this.getKey(item)) || 0);
+        });
+        return height || this.estimateRowHeight();
+    }
+
+    /**
+     * Visible range in grid coordinates
+     */
+    getViewport() {
+        const grid = this.getGrid();
+        if (!grid) {
+            return { top: 0, bottom: window.innerHeight };
+        }
+        const gridTop = grid.getBoundingClientRect().top;
+        return {
+            top: -gridTop,
+            bottom: window.innerHeight - gridTop
+        };
+    }
+
+    /**
+     * Read column count and gaps from the grid's current size and styles
+     * Returns true when the layout changed and a re-render was requested
+     */
+    updateLayout(grid) {
+        const style = getComputedStyle(grid);
+        const rowGap = parseFloat(style.rowGap) || 0;
+        const columnGap = parseFloat(style.columnGap) || 0;
+        const width = grid.clientWidth;
+        const columns = window.matchMedia('(max-width: 768px)').matches
+            ? 1
+            : Math.max(1, Math.floor((width + columnGap) / (this.minColumnWidth + columnGap)));
+
+        if (columns !== this.columns || rowGap !== this.rowGap || columnGap !== this.columnGap) {
+            this.columns = columns;
+            this.rowGap = rowGap;
+            this.columnGap = columnGap;
+            this.host.requestUpdate();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record the heights of mounted rows and keep the first visible row anchored
+     */
+    measure() {
+        const grid = this.getGrid();
+        if (!grid) return;
+
+        const items = this.getItems();
+        const anchorRow = this.firstVisibleRow;
+        const anchorBefore = this.getRowOffsets(items, anchorRow)[anchorRow];
+        let changed = false;
+
+        grid.querySelectorAll('[data-row]').forEach(row => {
+            const index = parseInt(row.dataset.row, 10);
+            const height = row.getBoundingClientRect().height;
+            if (!height) return;
+
+            items.slice(index * this.columns, (index + 1) * this.columns).forEach(item => {
+                const key = this.getKey(item);
+                if (this.itemHeights.get(key) !== height) {
+                    this.itemHeights.set(key, height);
+                    changed = true;
+                }
+            });
+        });
+
+        if (!changed) return;
+
+        const anchorAfter = this.getRowOffsets(items, anchorRow)[anchorRow];
+        if (anchorAfter !== anchorBefore && this.getViewport().top > 0) {
+            window.scrollBy(0, anchorAfter - anchorBefore);
+        }
+        this.host.requestUpdate();
+    }
+
+    handleScroll() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.host.requestUpdate();
+        });
+    }
+
+    getGrid() {
+        return this.host.shadowRoot?.querySelector(this.gridSelector);
+    }
+}
\ No newline at end of file
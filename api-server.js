@@ -0,0 +1,366 @@
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { FilePostStore } from './FilePostStore.js';
+import { ReactionStream } from './ReactionStream.js';
+import { PostFilter } from './PostFilter.js';
+import { PostSearchIndex } from './PostSearchIndex.js';
+import { sortPosts } from './PostRanking.js';
+import { REACTION_TYPES, isReactionType } from './Reactions.js';
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_REPLAYS = 1000;
+// New posts may carry their image as a data URL
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Mockstagram API server
+ *
+ *   node api-server.js --port 8788 --data ./api-data.json --seed ./social-posts.json
+ *
+ * GET  /api/posts                  page of posts: ?cursor&limit&sort&q plus PostFilter params
+ *                                  (channel, author, since, until, minLikes, hasComments)
+ *                                  -> { items, nextCursor, total }
+ * POST /api/posts                  { id, source, thumbnail, title, date, author, clientId } -> 201 { post }
+ * GET  /api/posts/:id              one post
+ * PATCH  /api/posts/:id            { clientId, title?, channel? } -> { post }; owner only
+ * DELETE /api/posts/:id            { clientId } -> 204; owner only
+ * POST /api/posts/:id/reactions    { clientId, vote: reaction type (see Reactions.js) | null, previousVote? }
+ *                                  -> 200 { post }, or 409 { error, post } when previousVote
+ *                                  doesn't match the client's vote on the server
+ * GET  /api/stats                  engagement totals across all posts
+ * GET  /api/events                 Server-Sent Events stream of reaction count changes
+ *                                  (see ReactionStream), resumable with Last-Event-ID
+ *
+ * Posts read with ?clientId=... carry that client's `vote`. Reactions may send an
+ * Idempotency-Key header; a repeated key gets the original answer.
+ */
+function readOptions(argv) {
+    const options = {
+        port: 8788,
+        data: './api-data.json',
+        seed: './social-posts.json'
+    };
+
+    for (let index = 0; index < argv.length; index += 2) {
+        const name = argv[index].replace(/^--/, '');
+        if (name in options) {
+            options[name] = typeof options[name] === 'number' ? Number(argv[index + 1]) : argv[index + 1];
+        }
+    }
+    return options;
+}
+
+/**
+ * The post as clients see it: the votes map is replaced by the caller's own vote
+ */
+function toPublicPost(post, clientId) {
+    const { votes, ownerId, ...rest } = post;
+    return { ...rest, vote: (clientId && votes[clientId]) || null };
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export function createApiServer({ store = new FilePostStore() } = {}) {
+    // Answers already given per idempotency key, oldest first
+    const replays = new Map();
+    const stream = new ReactionStream(store);
+    let searchIndex = null;
+    let indexedRevision = null;
+
+    const search = (posts, query) => {
+        if (!searchIndex || indexedRevision !== store.revision) {
+            searchIndex = new PostSearchIndex(posts);
+            indexedRevision = store.revision;
+        }
+        return searchIndex.search(query).results.map(result => result.post);
+    };
+
+    const listPosts = async params => {
+        const posts = await store.getAll();
+        const query = (params.get('q') || '').trim();
+        const sort = params.get('sort');
+
+        // Liked/disliked are per-user views the client applies itself
+        const filter = (PostFilter.fromParams(params) || new PostFilter())
+            .without('liked')
+            .without('disliked');
+
+        const matches = sortPosts(filter.apply(query ? search(posts, query) : posts), sort || 'default');
+
+        const offset = Math.max(0, parseInt(params.get('cursor'), 10) || 0);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+        const items = matches.slice(offset, offset + limit);
+        const nextOffset = offset + items.length;
+
+        return {
+            items: items.map(post => toPublicPost(post, params.get('clientId'))),
+            nextCursor: nextOffset < matches.length ? String(nextOffset) : null,
+            total: matches.length
+        };
+    };
+
+    const getStats = async () => {
+        const posts = await store.getAll();
+        const stats = {
+            totalPosts: posts.length,
+            totalLikes: 0,
+            totalDislikes: 0,
+            totalComments: 0,
+            totalEngagement: 0,
+            averageEngagement: 0,
+            mostLikedPost: null,
+            mostEngagedPost: null,
+            channels: {}
+        };
+
+        const summary = post => ({
+            id: post.id,
+            title: post.title,
+            likes: post.likes,
+            dislikes: post.dislikes,
+            reactions: post.reactions
+        });
+        let maxLikes = 0;
+        let maxEngagement = 0;
+
+        posts.forEach(post => {
+            const engagement = Object.values(post.reactions).reduce((sum, count) => sum + count, 0);
+            const channel = post.author?.channel || 'Unknown';
+
+            stats.totalLikes += post.likes;
+            stats.totalDislikes += post.dislikes;
+            stats.totalComments += (post.comments || []).length;
+            stats.totalEngagement += engagement;
+
+            stats.channels[channel] = stats.channels[channel] || { posts: 0, likes: 0, dislikes: 0 };
+            stats.channels[channel].posts++;
+            stats.channels[channel].likes += post.likes;
+            stats.channels[channel].dislikes += post.dislikes;
+
+            if (post.likes > maxLikes) {
+                maxLikes = post.likes;
+                stats.mostLikedPost = summary(post);
+            }
+            if (engagement > maxEngagement) {
+                maxEngagement = engagement;
+                stats.mostEngagedPost = summary(post);
+            }
+        });
+
+        stats.averageEngagement = posts.length ? stats.totalEngagement / posts.length : 0;
+        return stats;
+    };
+
+    const react = async (postId, body) => {
+        const { clientId, vote = null, previousVote } = body || {};
+        if (!clientId || typeof clientId !== 'string') {
+            throw new HttpError(400, 'clientId is required');
+        }
+        if (vote !== null && !isReactionType(vote)) {
+            throw new HttpError(400, `vote must be one of ${REACTION_TYPES.map(type => `"${type}"`).join(', ')} or null`);
+        }
+
+        const result = await store.setVote(postId, clientId, vote, { expectedVote: previousVote });
+        if (!result) {
+            throw new HttpError(404, `Post ${postId} not found`);
+        }
+
+        if (result.changed) {
+            stream.publish(result.post);
+        }
+
+        const post = toPublicPost(result.post, clientId);
+        return result.conflict
+            ? [409, { error: 'Vote conflict', post }]
+            : [200, { post }];
+    };
+
+    const createPost = async body => {
+        const { id, source, thumbnail, title, date, author, clientId } = body || {};
+        const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+        if (!isText(id) || !isText(source) || !isText(title) || !isText(author?.name)) {
+            throw new HttpError(400, 'A post needs an id, source, title and author name');
+        }
+
+        const post = await store.addPost({
+            id,
+            source,
+            thumbnail: isText(thumbnail) ? thumbnail : source,
+            title: title.trim(),
+            date: isText(date) ? date : new Date().toISOString().split('T')[0],
+            author: {
+                name: author.name.trim(),
+                image: author.image || null,
+                userSince: author.userSince || String(new Date().getFullYear()),
+                channel: isText(author.channel) ? author.channel.trim() : null
+            },
+            ownerId: isText(clientId) ? clientId : null
+        });
+        if (!post) {
+            throw new HttpError(409, `Post ${id} already exists`);
+        }
+        return [201, { post: toPublicPost(post, null) }];
+    };
+
+    /**
+     * Look up a post the calling client owns
+     */
+    const getOwnedPost = async (postId, clientId) => {
+        const post = await store.getById(postId);
+        if (!post) {
+            throw new HttpError(404, 'Post not found');
+        }
+        if (!post.ownerId || post.ownerId !== clientId) {
+            throw new HttpError(403, 'Only the author can change this post');
+        }
+        return post;
+    };
+
+    const editPost = async (postId, body) => {
+        const { clientId, title, channel } = body || {};
+        const post = await getOwnedPost(postId, clientId);
+        const changes = {};
+
+        if (title !== undefined) {
+            if (typeof title !== 'string' || !title.trim()) {
+                throw new HttpError(400, 'title must be a non-empty string');
+            }
+            changes.title = title.trim();
+        }
+        if (channel !== undefined) {
+            changes.author = {
+                ...post.author,
+                channel: typeof channel === 'string' && channel.trim() ? channel.trim() : null
+            };
+        }
+
+        return [200, { post: toPublicPost(await store.updatePost(postId, changes), clientId) }];
+    };
+
+    const deletePost = async (postId, body) => {
+        await getOwnedPost(postId, body?.clientId);
+        await store.removePost(postId);
+        return [204, undefined];
+    };
+
+    const rememberReplay = (key, answer) => {
+        replays.set(key, answer);
+        if (replays.size > MAX_REPLAYS) {
+            replays.delete(replays.keys().next().value);
+        }
+    };
+
+    const readBody = async request => {
+        let raw = '';
+        for await (const chunk of request) {
+            raw += chunk;
+            if (raw.length > MAX_BODY_BYTES) {
+                throw new HttpError(413, 'Body is too large');
+            }
+        }
+        try {
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            throw new HttpError(400, 'Body must be JSON');
+        }
+    };
+
+    const send = (response, status, body) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+            'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+        });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const route = async (request, url) => {
+        const { method } = request;
+        const path = url.pathname.replace(/\/+$/, '');
+        const postMatch = path.match(/^\/api\/posts\/([^/]+)(\/reactions)?$/);
+
+        if (method === 'GET' && path === '/api/posts') {
+            return [200, await listPosts(url.searchParams)];
+        }
+        if (method === 'POST' && path === '/api/posts') {
+            return createPost(await readBody(request));
+        }
+        if (method === 'GET' && path === '/api/stats') {
+            return [200, await getStats()];
+        }
+        if (postMatch && !postMatch[2] && method === 'PATCH') {
+            return editPost(decodeURIComponent(postMatch[1]), await readBody(request));
+        }
+        if (postMatch && !postMatch[2] && method === 'DELETE') {
+            return deletePost(decodeURIComponent(postMatch[1]), await readBody(request));
+        }
+        if (postMatch && !postMatch[2] && method === 'GET') {
+            const post = await store.getById(decodeURIComponent(postMatch[1]));
+            if (!post) {
+                throw new HttpError(404, 'Post not found');
+            }
+            return [200, toPublicPost(post, url.searchParams.get('clientId'))];
+        }
+        if (postMatch && postMatch[2] && method === 'POST') {
+            const key = request.headers['idempotency-key'];
+            if (key && replays.has(key)) {
+                return replays.get(key);
+            }
+
+            const answer = await react(decodeURIComponent(postMatch[1]), await readBody(request));
+            // A conflict didn't change anything, so a retry should be evaluated afresh
+            if (key && answer[0] !== 409) {
+                rememberReplay(key, answer);
+            }
+            return answer;
+        }
+        throw new HttpError(404, 'Not found');
+    };
+
+    const server = createServer(async (request, response) => {
+        if (request.method === 'OPTIONS') {
+            return send(response, 204);
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        if (request.method === 'GET' && url.pathname === '/api/events') {
+            // EventSource can't set headers, so a fresh connection may pass the ID as a param
+            return stream.subscribe(request, response, {
+                clientId: url.searchParams.get('clientId'),
+                lastEventId: request.headers['last-event-id'] || url.searchParams.get('lastEventId')
+            });
+        }
+
+        try {
+            const [status, body] = await route(request, url);
+            send(response, status, body);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error('API request failed:', error);
+            }
+            send(response, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+        }
+    });
+
+    return { server, store, stream };
+}
+
+// Run directly: node api-server.js [--port 8788] [--data file] [--seed file]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = readOptions(process.argv.slice(2));
+    const store = new FilePostStore({ dataFile: options.data, seedFile: options.seed });
+    await store.load();
+
+    const { server } = createApiServer({ store });
+    server.listen(options.port, () => {
+        console.log(`Mockstagram API listening on http://localhost:${options.port}/api`);
+    });
+}
\ No newline at end of file
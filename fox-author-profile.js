@@ -0,0 +1,279 @@
+import { LitElement, html, css } from 'lit';
+import './fox-post-grid.js';
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/96x96/ddd/999?text=?';
+
+/**
+ * `fox-author-profile`
+ * An author's profile: avatar, tenure, channel, engagement totals and a grid of their posts
+ *
+ * @demo demo/index.html
+ * @element fox-author-profile
+ * @class FoxAuthorProfile
+ * @extends LitElement
+ * @customElement
+ * @fires photo-open - Fired with a post ID when user opens one of the author's posts
+ * @fires channel-open - Fired with a channel name when user clicks the author's channel
+ * @fires follow-toggle - Fired with { type: 'authors', name, following } when user follows or unfollows
+ * @fires close - Fired when user goes back to the feed
+ */
+export class FoxAuthorProfile extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+            font-size: 14px;
+            color: var(--text-color, #262626);
+        }
+
+        .back-button {
+            padding: 6px 12px;
+            margin-bottom: 16px;
+            border: 1px solid #dbdbdb;
+            border-radius: 8px;
+            background: none;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+
+        .profile-header {
+            display: flex;
+            align-items: center;
+            gap: 24px;
+            padding-bottom: 24px;
+            margin-bottom: 24px;
+            border-bottom: 1px solid #dbdbdb;
+        }
+
+        .avatar {
+            width: 96px;
+            height: 96px;
+            border-radius: 50%;
+            object-fit: cover;
+            border: 2px solid #e0e0e0;
+            flex-shrink: 0;
+        }
+
+        .title-row {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 4px;
+        }
+
+        h2 {
+            margin: 0;
+            font-size: 22px;
+            font-weight: 600;
+        }
+
+        .follow-button {
+            padding: 6px 16px;
+            border: 1px solid #ff6b35;
+            border-radius: 8px;
+            background: #ff6b35;
+            color: white;
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .follow-button.following {
+            background: none;
+            color: inherit;
+            border-color: #dbdbdb;
+        }
+
+        .channel-link {
+            padding: 0;
+            border: none;
+            background: none;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+
+        .channel-link:hover {
+            text-decoration: underline;
+        }
+
+        .details {
+            margin: 0 0 12px 0;
+            color: #8e8e8e;
+        }
+
+        .stats {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 24px;
+        }
+
+        .stat-number {
+            display: block;
+            font-size: 18px;
+            font-weight: 600;
+        }
+
+        .stat-label {
+            color: #8e8e8e;
+            font-size: 12px;
+        }
+
+        :host([data-theme="dark"]) .profile-header,
+        :host([data-theme="dark"]) .back-button,
+        :host([data-theme="dark"]) .follow-button.following {
+            border-color: #333;
+        }
+
+        :host([data-theme="dark"]) .details,
+        :host([data-theme="dark"]) .stat-label {
+            color: #a0a0a0;
+        }
+
+        @media (max-width: 480px) {
+            .profile-header {
+                gap: 16px;
+            }
+
+            .avatar {
+                width: 72px;
+                height: 72px;
+            }
+        }
+    `;
+
+    static properties = {
+        /**
+         * The Author whose profile is shown
+         * @type {Author}
+         */
+        author: { type: Object, attribute: false },
+
+        /**
+         * The author's posts
+         * @type {Array}
+         */
+        posts: { type: Array, attribute: false },
+
+        /**
+         * SocialInteractionService.getEngagementStats() for the author's posts
+         * @type {Object}
+         */
+        stats: { type: Object, attribute: false },
+
+        /**
+         * Whether the user follows this author
+         * @type {Boolean}
+         */
+        following: { type: Boolean }
+    };
+
+    constructor() {
+        super();
+        this.author = null;
+        this.posts = [];
+        this.stats = null;
+        this.following = false;
+    }
+
+    getTenure() {
+        const years = this.author.getYearsSinceJoining();
+        if (years === null) {
+            return 'Member';
+        }
+        if (years < 1) {
+            return 'Joined this year';
+        }
+        return `Member for ${years} ${years === 1 ? 'year' : 'years'} (since ${this.author.userSince})`;
+    }
+
+    handleChannelOpen() {
+        this.dispatchEvent(new CustomEvent('channel-open', {
+            bubbles: true,
+            detail: { channel: this.author.channel }
+        }));
+    }
+
+    handleFollowToggle() {
+        this.dispatchEvent(new CustomEvent('follow-toggle', {
+            bubbles: true,
+            detail: { type: 'authors', name: this.author.name, following: !this.following }
+        }));
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close', { bubbles: true }));
+    }
+
+    renderStats() {
+        const stats = this.stats || {};
+        const ratio = Math.round((stats.averageEngagementRatio || 0) * 100);
+
+        return html`
+            <div class="stats">
+                <div>
+                    <span class="stat-number">${stats.totalPosts || 0}</span>
+                    <span class="stat-label">Posts</span>
+                </div>
+                <div>
+                    <span class="stat-number">${stats.totalLikes || 0}</span>
+                    <span class="stat-label">Likes received</span>
+                </div>
+                <div title="Average share of likes among the reactions to each post">
+                    <span class="stat-number">${ratio}%</span>
+                    <span class="stat-label">Avg. engagement ratio</span>
+                </div>
+                <div title="${stats.totalUniqueViews || 0} unique">
+                    <span class="stat-number">${stats.totalViews || 0}</span>
+                    <span class="stat-label">Views</span>
+                </div>
+                <div title="Average reactions and comments per view of each viewed post">
+                    <span class="stat-number">${(stats.averageEngagementPerView || 0).toFixed(2)}</span>
+                    <span class="stat-label">Engagement per view</span>
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        if (!this.author) {
+            return '';
+        }
+
+        return html`
+            <button class="back-button" @click=${this.handleClose}>← Back to feed</button>
+
+            <header class="profile-header">
+                <img
+                    class="avatar"
+                    src=${this.author.image || PLACEHOLDER_IMAGE}
+                    alt=${this.author.getDisplayName()}
+                    @error=${(e) => e.target.src = PLACEHOLDER_IMAGE}
+                />
+                <div>
+                    <div class="title-row">
+                        <h2>${this.author.getDisplayName()}</h2>
+                        <button
+                            class="follow-button ${this.following ? 'following' : ''}"
+                            aria-pressed=${this.following ? 'true' : 'false'}
+                            @click=${this.handleFollowToggle}
+                        >
+                            ${this.following ? 'Following' : 'Follow'}
+                        </button>
+                    </div>
+                    <p class="details">
+                        ${this.author.channel ? html`
+                            <button class="channel-link" @click=${this.handleChannelOpen}>${this.author.channel}</button>
+                        ` : 'Photo Channel'} • ${this.getTenure()}
+                    </p>
+                    ${this.renderStats()}
+                </div>
+            </header>
+
+            <fox-post-grid .posts=${this.posts}></fox-post-grid>
+        `;
+    }
+}
+
+customElements.define('fox-author-profile', FoxAuthorProfile);
\ No newline at end of file
@@ -0,0 +1,161 @@
+import { LitElement, html, css } from 'lit';
+import './fox-post-grid.js';
+
+/**
+ * `fox-channel-page`
+ * Every post in a channel, with a button to follow the channel
+ *
+ * @demo demo/index.html
+ * @element fox-channel-page
+ * @class FoxChannelPage
+ * @extends LitElement
+ * @customElement
+ * @fires photo-open - Fired with a post ID when user opens one of the channel's posts
+ * @fires follow-toggle - Fired with { type: 'channels', name, following } when user follows or unfollows
+ * @fires close - Fired when user goes back to the feed
+ */
+export class FoxChannelPage extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+            font-size: 14px;
+            color: var(--text-color, #262626);
+        }
+
+        .back-button {
+            padding: 6px 12px;
+            margin-bottom: 16px;
+            border: 1px solid #dbdbdb;
+            border-radius: 8px;
+            background: none;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+
+        .channel-header {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            justify-content: space-between;
+            gap: 16px;
+            padding-bottom: 24px;
+            margin-bottom: 24px;
+            border-bottom: 1px solid #dbdbdb;
+        }
+
+        h2 {
+            margin: 0 0 4px 0;
+            font-size: 22px;
+            font-weight: 600;
+        }
+
+        .details {
+            margin: 0;
+            color: #8e8e8e;
+        }
+
+        .follow-button {
+            padding: 8px 20px;
+            border: 1px solid #ff6b35;
+            border-radius: 8px;
+            background: #ff6b35;
+            color: white;
+            font: inherit;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .follow-button.following {
+            background: none;
+            color: inherit;
+            border-color: #dbdbdb;
+        }
+
+        :host([data-theme="dark"]) .channel-header,
+        :host([data-theme="dark"]) .back-button,
+        :host([data-theme="dark"]) .follow-button.following {
+            border-color: #333;
+        }
+
+        :host([data-theme="dark"]) .details {
+            color: #a0a0a0;
+        }
+    `;
+
+    static properties = {
+        /**
+         * Channel name
+         * @type {String}
+         */
+        channel: { type: String },
+
+        /**
+         * The channel's posts
+         * @type {Array}
+         */
+        posts: { type: Array, attribute: false },
+
+        /**
+         * SocialInteractionService.getEngagementStats() for the channel's posts
+         * @type {Object}
+         */
+        stats: { type: Object, attribute: false },
+
+        /**
+         * Whether the user follows this channel
+         * @type {Boolean}
+         */
+        following: { type: Boolean }
+    };
+
+    constructor() {
+        super();
+        this.channel = '';
+        this.posts = [];
+        this.stats = null;
+        this.following = false;
+    }
+
+    handleFollowToggle() {
+        this.dispatchEvent(new CustomEvent('follow-toggle', {
+            bubbles: true,
+            detail: { type: 'channels', name: this.channel, following: !this.following }
+        }));
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close', { bubbles: true }));
+    }
+
+    render() {
+        const authors = new Set(this.posts.map(post => post.author.name)).size;
+        const likes = this.stats?.totalLikes || 0;
+
+        return html`
+            <button class="back-button" @click=${this.handleClose}>← Back to feed</button>
+
+            <header class="channel-header">
+                <div>
+                    <h2>${this.channel}</h2>
+                    <p class="details">
+                        ${this.posts.length} ${this.posts.length === 1 ? 'post' : 'posts'} •
+                        ${authors} ${authors === 1 ? 'author' : 'authors'} •
+                        ${likes} ${likes === 1 ? 'like' : 'likes'}
+                    </p>
+                </div>
+                <button
+                    class="follow-button ${this.following ? 'following' : ''}"
+                    aria-pressed=${this.following ? 'true' : 'false'}
+                    @click=${this.handleFollowToggle}
+                >
+                    ${this.following ? 'Following' : 'Follow'}
+                </button>
+            </header>
+
+            <fox-post-grid .posts=${this.posts}></fox-post-grid>
+        `;
+    }
+}
+
+customElements.define('fox-channel-page', FoxChannelPage);
\ No newline at end of file
@@ -0,0 +1,323 @@
+import { LitElement, html, css } from 'lit';
+import { DataBundleService } from './DataBundleService.js';
+
+/**
+ * Human-readable names for the bundle sections shown in the import diff
+ */
+const SECTION_LABELS = {
+    likes: 'Likes',
+    dislikes: 'Dislikes',
+    comments: 'Comments',
+    socialInteractions: 'Your votes',
+    preferences: 'Preferences'
+};
+
+/**
+ * `fox-data-manager`
+ * Export and import of the user's Mockstagram data as a versioned JSON file
+ *
+ * @demo demo/index.html
+ * @element fox-data-manager
+ * @class FoxDataManager
+ * @extends LitElement
+ * @customElement
+ * @fires data-imported - Fired after a bundle has been merged or replaced into storage
+ */
+export class FoxDataManager extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+            font-size: 14px;
+            color: var(--text-color, #262626);
+        }
+
+        .actions {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+            align-items: center;
+        }
+
+        button,
+        .file-label {
+            padding: 8px 16px;
+            border: 1px solid #dbdbdb;
+            background: var(--bg-color, #ffffff);
+            color: inherit;
+            border-radius: 20px;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 500;
+        }
+
+        button:hover,
+        .file-label:hover {
+            background: #f8f9fa;
+        }
+
+        button.primary {
+            background: #ff6b35;
+            border-color: #ff6b35;
+            color: white;
+        }
+
+        button.danger {
+            border-color: #ed4956;
+            color: #ed4956;
+        }
+
+        button:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+
+        input[type="file"] {
+            display: none;
+        }
+
+        .status {
+            margin-top: 10px;
+            color: #8e8e8e;
+        }
+
+        .errors {
+            margin-top: 10px;
+            padding: 10px 14px;
+            color: #ed4956;
+            background: #fff0f1;
+            border-radius: 8px;
+        }
+
+        .errors ul {
+            margin: 4px 0 0;
+            padding-left: 18px;
+        }
+
+        .diff {
+            margin-top: 12px;
+        }
+
+        .note {
+            color: #8e8e8e;
+            font-size: 13px;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 12px;
+        }
+
+        th,
+        td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid #efefef;
+        }
+
+        td.added { color: #2e9e4f; }
+        td.changed { color: #d68910; }
+        td.removed { color: #ed4956; }
+
+        :host([data-theme="dark"]) button,
+        :host([data-theme="dark"]) .file-label {
+            background: #1e1e1e;
+            border-color: #333;
+        }
+
+        :host([data-theme="dark"]) .errors {
+            background: #2a1215;
+        }
+
+        :host([data-theme="dark"]) th,
+        :host([data-theme="dark"]) td {
+            border-color: #262626;
+        }
+    `;
+
+    static properties = {
+        /**
+         * Storage service holding the user's data (LocalStorageService or IndexedDBStorageService)
+         * @type {Object}
+         */
+        storageService: { type: Object, attribute: false },
+
+        status: { state: true },
+        errors: { state: true },
+        pendingBundle: { state: true },
+        diff: { state: true },
+        busy: { state: true }
+    };
+
+    constructor() {
+        super();
+        this.storageService = null;
+        this.status = '';
+        this.errors = [];
+        this.pendingBundle = null;
+        this.diff = null;
+        this.busy = false;
+    }
+
+    get bundleService() {
+        if (!this.storageService) {
+            return null;
+        }
+        if (!this._bundleService || this._bundleService.storageService !== this.storageService) {
+            this._bundleService = new DataBundleService(this.storageService);
+        }
+        return this._bundleService;
+    }
+
+    async handleExport() {
+        this.busy = true;
+        this.errors = [];
+        try {
+            const bundle = await this.bundleService.downloadBundle();
+            this.status = `Exported data (schema version ${bundle.version}).`;
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.errors = [error.message];
+        }
+        this.busy = false;
+    }
+
+    async handleFileSelected(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        this.busy = true;
+        this.status = '';
+        this.diff = null;
+        this.pendingBundle = null;
+
+        const { valid, errors, bundle } = this.bundleService.parseBundle(await file.text());
+
+        if (!valid) {
+            this.errors = errors;
+            this.busy = false;
+            return;
+        }
+
+        this.errors = [];
+        this.pendingBundle = bundle;
+        this.diff = await this.bundleService.diffBundle(bundle);
+        this.busy = false;
+    }
+
+    async handleImport(mode) {
+        this.busy = true;
+        const result = await this.bundleService.importBundle(this.pendingBundle, mode);
+        this.busy = false;
+
+        if (!result.success) {
+            this.errors = result.errors;
+            return;
+        }
+
+        this.status = result.message;
+        this.pendingBundle = null;
+        this.diff = null;
+
+        this.dispatchEvent(new CustomEvent('data-imported', {
+            bubbles: true,
+            composed: true,
+            detail: { mode }
+        }));
+    }
+
+    cancelImport() {
+        this.pendingBundle = null;
+        this.diff = null;
+        this.status = 'Import cancelled.';
+    }
+
+    renderDiff() {
+        const { theme } = this.diff;
+
+        return html`
+            <div class="diff">
+                <p>
+                    Exported ${this.pendingBundle.exportedAt
+                        ? new Date(this.pendingBundle.exportedAt).toLocaleString()
+                        : 'at an unknown time'}.
+                    Here is what would change:
+                </p>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Data</th>
+                            <th>New</th>
+                            <th>Different</th>
+                            <th>Only here (lost on replace)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(SECTION_LABELS).map(([section, label]) => html`
+                            <tr>
+                                <td>${label}</td>
+                                <td class="added">${this.diff[section].added.length}</td>
+                                <td class="changed">${this.diff[section].changed.length}</td>
+                                <td class="removed">${this.diff[section].removed.length}</td>
+                            </tr>
+                        `)}
+                        <tr>
+                            <td>Theme</td>
+                            <td colspan="3" class="${theme.changed ? 'changed' : ''}">
+                                ${theme.changed ? `${theme.from} → ${theme.to}` : 'No change'}
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+                <p class="note">
+                    Replace removes your current likes, comments, preferences and theme before
+                    importing; merge keeps them and lets the file win where both have a value.
+                </p>
+                <div class="actions">
+                    <button class="primary" ?disabled=${this.busy} @click=${() => this.handleImport('merge')}>
+                        Merge
+                    </button>
+                    <button class="danger" ?disabled=${this.busy} @click=${() => this.handleImport('replace')}>
+                        Replace
+                    </button>
+                    <button ?disabled=${this.busy} @click=${this.cancelImport}>Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        if (!this.storageService) {
+            return html``;
+        }
+
+        return html`
+            <div class="actions">
+                <button ?disabled=${this.busy} @click=${this.handleExport}>⬇️ Export my data</button>
+                <label class="file-label">
+                    ⬆️ Import data
+                    <input
+                        type="file"
+                        accept="application/json,.json"
+                        ?disabled=${this.busy}
+                        @change=${this.handleFileSelected}
+                    />
+                </label>
+            </div>
+
+            ${this.errors.length > 0 ? html`
+                <div class="errors" role="alert">
+                    This file can't be imported:
+                    <ul>${this.errors.map(error => html`<li>${error}</li>`)}</ul>
+                </div>
+            ` : ''}
+
+            ${this.diff ? this.renderDiff() : ''}
+
+            ${this.status ? html`<div class="status" role="status">${this.status}</div>` : ''}
+        `;
+    }
+}
+
+customElements.define('fox-data-manager', FoxDataManager);
\ No newline at end of file
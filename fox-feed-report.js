@@ -0,0 +1,133 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * `fox-feed-report`
+ * Developer panel listing what feed validation fixed or quarantined
+ *
+ * @demo demo/index.html
+ * @element fox-feed-report
+ * @class FoxFeedReport
+ * @extends LitElement
+ * @customElement
+ */
+export class FoxFeedReport extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+            margin-top: 12px;
+            font-size: 14px;
+            color: var(--text-color, #262626);
+        }
+
+        .summary {
+            margin: 0 0 10px;
+            color: #8e8e8e;
+        }
+
+        .posts {
+            margin: 0;
+            padding: 0;
+            list-style: none;
+        }
+
+        .post {
+            padding: 8px 0;
+            border-bottom: 1px solid #efefef;
+        }
+
+        .status {
+            margin-left: 6px;
+            padding: 1px 8px;
+            border-radius: 10px;
+            font-size: 12px;
+            font-weight: 600;
+        }
+
+        .status.fixed {
+            color: #d68910;
+            background: rgba(214, 137, 16, 0.12);
+        }
+
+        .status.quarantined {
+            color: #ed4956;
+            background: rgba(237, 73, 86, 0.12);
+        }
+
+        .issues {
+            margin: 4px 0 0;
+            padding-left: 18px;
+        }
+
+        .issue.error {
+            color: #ed4956;
+        }
+
+        pre {
+            max-height: 200px;
+            overflow: auto;
+            padding: 8px;
+            font-size: 12px;
+            background: rgba(128, 128, 128, 0.1);
+            border-radius: 6px;
+        }
+
+        :host([data-theme="dark"]) .post {
+            border-color: #262626;
+        }
+
+        :host([data-theme="dark"]) .summary {
+            color: #a0a0a0;
+        }
+    `;
+
+    static properties = {
+        /**
+         * FeedValidationReport.toJSON() for the feed's source, or null before anything loaded
+         * @type {Object}
+         */
+        report: { type: Object, attribute: false }
+    };
+
+    constructor() {
+        super();
+        this.report = null;
+    }
+
+    render() {
+        const report = this.report;
+        if (!report || report.total === 0) {
+            return html`<p class="summary">No feed posts have been checked yet.</p>`;
+        }
+
+        return html`
+            <p class="summary">
+                Checked ${report.total} ${report.total === 1 ? 'post' : 'posts'} from the ${report.source} feed:
+                ${report.valid} valid, ${report.fixed} fixed, ${report.quarantined} quarantined.
+            </p>
+
+            ${report.posts.length === 0 ? '' : html`
+                <ul class="posts">
+                    ${report.posts.map(post => html`
+                        <li class="post">
+                            <strong>${post.id ?? `Entry #${post.index + 1}`}</strong>
+                            <span class="status ${post.status}">${post.status}</span>
+                            <ul class="issues">
+                                ${post.issues.map(issue => html`
+                                    <li class="issue ${issue.severity}">${issue.message}</li>
+                                `)}
+                            </ul>
+                            ${post.raw !== undefined ? html`
+                                <details>
+                                    <summary>Raw entry</summary>
+                                    <pre>${JSON.stringify(post.raw, null, 2)}</pre>
+                                </details>
+                            ` : ''}
+                        </li>
+                    `)}
+                </ul>
+            `}
+        `;
+    }
+}
+
+customElements.define('fox-feed-report', FoxFeedReport);
\ No newline at end of file
@@ -0,0 +1,349 @@
+import { LitElement, html, css } from 'lit';
+import { ifDefined } from 'lit/directives/if-defined.js';
+import { PostFilter, FILTER_TYPES } from './PostFilter.js';
+
+/**
+ * `fox-filter-bar`
+ * Active filter chips, a builder for adding criteria and the user's saved views
+ *
+ * @demo demo/index.html
+ * @element fox-filter-bar
+ * @class FoxFilterBar
+ * @extends LitElement
+ * @customElement
+ * @fires filter-change - Fired with the new PostFilter when criteria are added or removed
+ * @fires view-save - Fired with a name to save the current filter as a view
+ * @fires view-delete - Fired with the name of a saved view to delete
+ */
+export class FoxFilterBar extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+            margin-bottom: 20px;
+            font-size: 14px;
+            color: var(--text-color, #262626);
+        }
+
+        .row {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+            margin-bottom: 10px;
+        }
+
+        .row-label {
+            color: #8e8e8e;
+        }
+
+        .chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            padding: 4px 6px 4px 12px;
+            background: #fff3ee;
+            border: 1px solid #ffc9b3;
+            border-radius: 16px;
+            color: #c2410c;
+        }
+
+        .chip button {
+            border: none;
+            background: none;
+            color: inherit;
+            cursor: pointer;
+            font-size: 14px;
+            line-height: 1;
+            padding: 2px 4px;
+        }
+
+        .link-button {
+            border: none;
+            background: none;
+            color: #ff6b35;
+            cursor: pointer;
+            font-size: 14px;
+            padding: 4px;
+        }
+
+        .view {
+            display: inline-flex;
+            align-items: center;
+            border: 1px solid #dbdbdb;
+            border-radius: 16px;
+            background: var(--bg-color, #ffffff);
+            overflow: hidden;
+        }
+
+        .view.active {
+            border-color: #ff6b35;
+        }
+
+        .view button {
+            border: none;
+            background: none;
+            color: inherit;
+            cursor: pointer;
+            font-size: 14px;
+            padding: 5px 8px;
+        }
+
+        .view button:first-child {
+            padding-left: 12px;
+        }
+
+        .view.active button:first-child {
+            color: #ff6b35;
+            font-weight: 600;
+        }
+
+        form {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+        }
+
+        select,
+        input,
+        form button {
+            padding: 6px 12px;
+            border: 1px solid #dbdbdb;
+            border-radius: 16px;
+            background: var(--bg-color, #ffffff);
+            color: inherit;
+            font-size: 14px;
+        }
+
+        form button {
+            cursor: pointer;
+        }
+
+        form button[type="submit"] {
+            background: #ff6b35;
+            border-color: #ff6b35;
+            color: white;
+        }
+
+        select:focus,
+        input:focus {
+            outline: none;
+            border-color: #ff6b35;
+        }
+
+        :host([data-theme="dark"]) .chip {
+            background: #2b1a12;
+            border-color: #5c2e18;
+            color: #ffb08a;
+        }
+
+        :host([data-theme="dark"]) .view,
+        :host([data-theme="dark"]) select,
+        :host([data-theme="dark"]) input,
+        :host([data-theme="dark"]) form button:not([type="submit"]) {
+            background: #1e1e1e;
+            border-color: #333;
+        }
+    `;
+
+    static properties = {
+        /**
+         * Active filter
+         * @type {PostFilter}
+         */
+        filter: { type: Object, attribute: false },
+
+        /**
+         * Saved views from user preferences: [{ name, filter }]
+         * @type {Array}
+         */
+        savedViews: { type: Array, attribute: false },
+
+        /**
+         * Channel names offered as suggestions when adding a channel filter
+         * @type {Array}
+         */
+        channels: { type: Array, attribute: false },
+
+        /**
+         * Author names offered as suggestions when adding an author filter
+         * @type {Array}
+         */
+        authors: { type: Array, attribute: false },
+
+        draftType: { state: true },
+        draftValue: { state: true },
+        naming: { state: true },
+        viewName: { state: true }
+    };
+
+    constructor() {
+        super();
+        this.filter = new PostFilter();
+        this.savedViews = [];
+        this.channels = [];
+        this.authors = [];
+        this.draftType = 'channel';
+        this.draftValue = '';
+        this.naming = false;
+        this.viewName = '';
+    }
+
+    changeFilter(filter) {
+        this.dispatchEvent(new CustomEvent('filter-change', {
+            bubbles: true,
+            detail: { filter }
+        }));
+    }
+
+    handleAdd(event) {
+        event.preventDefault();
+        const value = FILTER_TYPES[this.draftType].input ? this.draftValue : true;
+        const filter = this.filter.with(this.draftType, value);
+
+        if (filter.criteria[this.draftType] === undefined) return;
+
+        this.changeFilter(filter);
+        this.draftValue = '';
+    }
+
+    handleTypeChange(event) {
+        this.draftType = event.target.value;
+        this.draftValue = '';
+    }
+
+    startNaming() {
+        this.naming = true;
+        this.viewName = '';
+        this.updateComplete.then(() => {
+            this.shadowRoot.querySelector('.view-name')?.focus();
+        });
+    }
+
+    handleSaveView(event) {
+        event.preventDefault();
+        const name = this.viewName.trim();
+        if (!name) return;
+
+        this.dispatchEvent(new CustomEvent('view-save', {
+            bubbles: true,
+            detail: { name }
+        }));
+        this.naming = false;
+    }
+
+    deleteView(name) {
+        this.dispatchEvent(new CustomEvent('view-delete', {
+            bubbles: true,
+            detail: { name }
+        }));
+    }
+
+    renderValueInput() {
+        const { input } = FILTER_TYPES[this.draftType];
+        if (!input) {
+            return '';
+        }
+
+        const suggestions = this.draftType === 'channel' ? this.channels
+            : this.draftType === 'author' ? this.authors
+            : null;
+
+        return html`
+            <input
+                type=${input}
+                min=${ifDefined(input === 'number' ? '0' : undefined)}
+                list=${ifDefined(suggestions ? 'filter-suggestions' : undefined)}
+                aria-label=${FILTER_TYPES[this.draftType].label}
+                .value=${this.draftValue}
+                @input=${event => { this.draftValue = event.target.value; }}
+                required
+            />
+            ${suggestions ? html`
+                <datalist id="filter-suggestions">
+                    ${suggestions.map(suggestion => html`<option value=${suggestion}></option>`)}
+                </datalist>
+            ` : ''}
+        `;
+    }
+
+    renderSavedViews() {
+        if (this.savedViews.length === 0 && this.filter.isEmpty) {
+            return '';
+        }
+
+        return html`
+            <div class="row">
+                ${this.savedViews.length > 0 ? html`<span class="row-label">Saved views:</span>` : ''}
+                ${this.savedViews.map(view => {
+                    const filter = PostFilter.fromJSON(view.filter);
+                    return html`
+                        <span class="view ${filter.equals(this.filter) ? 'active' : ''}">
+                            <button @click=${() => this.changeFilter(filter)} title="Apply this view">${view.name}</button>
+                            <button @click=${() => this.deleteView(view.name)} aria-label="Delete view ${view.name}" title="Delete view">✕</button>
+                        </span>
+                    `;
+                })}
+
+                ${this.naming ? html`
+                    <form @submit=${this.handleSaveView}>
+                        <input
+                            class="view-name"
+                            placeholder="View name"
+                            aria-label="View name"
+                            .value=${this.viewName}
+                            @input=${event => { this.viewName = event.target.value; }}
+                            required
+                        />
+                        <button type="submit">Save</button>
+                        <button type="button" @click=${() => { this.naming = false; }}>Cancel</button>
+                    </form>
+                ` : !this.filter.isEmpty ? html`
+                    <button class="link-button" @click=${this.startNaming}>💾 Save as view</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    render() {
+        const chips = this.filter.getChips();
+
+        return html`
+            ${chips.length > 0 ? html`
+                <div class="row" aria-label="Active filters">
+                    ${chips.map(chip => html`
+                        <span class="chip">
+                            ${chip.label}
+                            <button
+                                @click=${() => this.changeFilter(this.filter.without(chip.type))}
+                                aria-label="Remove filter ${chip.label}"
+                                title="Remove filter"
+                            >✕</button>
+                        </span>
+                    `)}
+                    ${chips.length > 1 ? html`
+                        <button class="link-button" @click=${() => this.changeFilter(new PostFilter())}>Clear all</button>
+                    ` : ''}
+                </div>
+            ` : ''}
+
+            <div class="row">
+                <form @submit=${this.handleAdd}>
+                    <select aria-label="Filter by" .value=${this.draftType} @change=${this.handleTypeChange}>
+                        ${Object.entries(FILTER_TYPES).map(([type, { label }]) => html`
+                            <option value=${type} ?selected=${type === this.draftType}>${label}</option>
+                        `)}
+                    </select>
+                    ${this.renderValueInput()}
+                    <button type="submit">+ Add filter</button>
+                </form>
+            </div>
+
+            ${this.renderSavedViews()}
+        `;
+    }
+}
+
+customElements.define('fox-filter-bar', FoxFilterBar);
\ No newline at end of file
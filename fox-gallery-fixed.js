@@ -1,8 +1,35 @@
 import { LitElement, html, css } from 'lit';
+import { repeat } from 'lit/directives/repeat.js';
+import { styleMap } from 'lit/directives/style-map.js';
 import './fox-photo-card.js';
+import './fox-data-manager.js';
+import './fox-lightbox.js';
+import './fox-filter-bar.js';
+import './fox-post-composer.js';
+import './fox-author-profile.js';
+import './fox-channel-page.js';
+import './fox-feed-report.js';
 import { SocialPostRepository } from './SocialPostRepository.js';
+import { JsonPostSource } from './JsonPostSource.js';
+import { RandomFoxPostSource } from './RandomFoxPostSource.js';
+import { ApiPostSource } from './ApiPostSource.js';
 import { LocalStorageService } from './LocalStorageService.js';
+import { IndexedDBStorageService } from './IndexedDBStorageService.js';
 import { SocialInteractionService } from './SocialInteractionService.js';
+import { VirtualGridController } from './VirtualGridController.js';
+import { HashRouterController, formatHash } from './HashRouterController.js';
+import { SORT_ORDERS, isSortOrder, sortPosts } from './PostRanking.js';
+import { PostFilter } from './PostFilter.js';
+import { OutboxSyncWorker } from './OutboxSyncWorker.js';
+import { LiveUpdatesController } from './LiveUpdatesController.js';
+
+// How long a deleted post can be brought back before the delete is committed
+const UNDO_DELAY = 5000;
+
+// Properties the visible post list is computed from
+const FILTERED_POSTS_INPUTS = [
+    'posts', 'searchResults', 'followingPosts', 'showFollowing', 'follows', 'filter', 'sortOrder', 'trendingActivity'
+];
 
 /**
  * `fox-gallery`
@@ -28,10 +55,22 @@ export class FoxGallery extends LitElement {
         }
 
         .posts-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+            display: flex;
+            flex-direction: column;
             gap: 30px;
             margin-top: 20px;
+            overflow-anchor: none;
+        }
+
+        .posts-row {
+            display: grid;
+            grid-template-columns: repeat(var(--columns, 1), minmax(0, 1fr));
+            gap: 30px;
+            align-items: start;
+        }
+
+        .posts-row > fox-photo-card {
+            margin-bottom: 0;
         }
 
         .loading {
@@ -81,10 +120,190 @@ export class FoxGallery extends LitElement {
         .filter-tabs {
             display: flex;
             justify-content: center;
+            align-items: center;
             gap: 10px;
             margin-bottom: 20px;
         }
 
+        .sort-select {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            color: #8e8e8e;
+            font-size: 14px;
+        }
+
+        .sort-select select {
+            padding: 9px 12px;
+            border: 1px solid #dbdbdb;
+            border-radius: 20px;
+            background: var(--bg-color, #ffffff);
+            color: var(--text-color, #262626);
+            font-size: 14px;
+            cursor: pointer;
+        }
+
+        .sort-select select:focus {
+            outline: none;
+            border-color: #ff6b35;
+        }
+
+        .search-box {
+            position: relative;
+            display: flex;
+            align-items: center;
+            flex: 1;
+            min-width: 180px;
+            max-width: 280px;
+        }
+
+        .search-box input {
+            width: 100%;
+            padding: 10px 34px 10px 16px;
+            border: 1px solid #dbdbdb;
+            border-radius: 20px;
+            background: var(--bg-color, #ffffff);
+            color: var(--text-color, #262626);
+            font-size: 14px;
+        }
+
+        .search-box input:focus {
+            outline: none;
+            border-color: #ff6b35;
+        }
+
+        .search-clear {
+            position: absolute;
+            right: 8px;
+            border: none;
+            background: none;
+            color: #8e8e8e;
+            cursor: pointer;
+            font-size: 14px;
+        }
+
+        .search-summary {
+            text-align: center;
+            color: #8e8e8e;
+            font-size: 14px;
+            margin-bottom: 10px;
+        }
+
+        .toast {
+            position: fixed;
+            left: 50%;
+            bottom: 24px;
+            transform: translateX(-50%);
+            z-index: 900;
+            display: flex;
+            align-items: center;
+            gap: 16px;
+            padding: 12px 20px;
+            color: #ffffff;
+            background: #262626;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+            font-size: 14px;
+        }
+
+        .toast button {
+            border: none;
+            background: none;
+            color: #ff6b35;
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 600;
+            padding: 0;
+        }
+
+        .offline-banner {
+            margin-bottom: 20px;
+            padding: 12px 20px;
+            text-align: center;
+            color: #ffffff;
+            background: #595959;
+            border-radius: 12px;
+            font-size: 14px;
+        }
+
+        .sync-status {
+            margin-bottom: 10px;
+            text-align: center;
+            color: #8e8e8e;
+            font-size: 13px;
+        }
+
+        .offline-banner .sync-status {
+            margin: 6px 0 0;
+            color: inherit;
+        }
+
+        .route-notice {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            flex-wrap: wrap;
+            gap: 12px;
+            margin-bottom: 20px;
+            padding: 12px 20px;
+            color: #8a5a00;
+            background: #fff7e6;
+            border: 1px solid #ffe0a3;
+            border-radius: 12px;
+            font-size: 14px;
+        }
+
+        .data-panel {
+            margin-bottom: 20px;
+            padding: 12px 20px;
+            background: var(--bg-color, #ffffff);
+            border-radius: 12px;
+            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .data-panel summary {
+            cursor: pointer;
+            font-size: 14px;
+            font-weight: 600;
+            color: var(--text-color, #262626);
+        }
+
+        .data-panel fox-data-manager,
+        .data-panel fox-post-composer {
+            margin-top: 12px;
+        }
+
+        .feed-status {
+            text-align: center;
+            padding: 20px;
+            color: #8e8e8e;
+            font-size: 14px;
+        }
+
+        .feed-status.error {
+            color: #ed4956;
+        }
+
+        .retry-button {
+            margin-left: 10px;
+            padding: 6px 16px;
+            border: 1px solid #ff6b35;
+            background: none;
+            color: #ff6b35;
+            border-radius: 20px;
+            cursor: pointer;
+            font-size: 14px;
+        }
+
+        .retry-button:hover {
+            background: #ff6b35;
+            color: white;
+        }
+
+        .feed-sentinel {
+            height: 1px;
+        }
+
         .filter-tab {
             padding: 10px 20px;
             border: 1px solid #dbdbdb;
@@ -112,8 +331,8 @@ export class FoxGallery extends LitElement {
                 padding: 10px;
             }
             
-            .posts-grid {
-                grid-template-columns: 1fr;
+            .posts-grid,
+            .posts-row {
                 gap: 20px;
             }
             
@@ -126,11 +345,19 @@ export class FoxGallery extends LitElement {
                 flex-wrap: wrap;
                 gap: 5px;
             }
+
+            .search-box {
+                max-width: none;
+                flex-basis: 100%;
+            }
         }
 
         /* Theme support */
         :host([theme="dark"]) .stats,
-        :host([theme="dark"]) .filter-tab {
+        :host([theme="dark"]) .data-panel,
+        :host([theme="dark"]) .filter-tab,
+        :host([theme="dark"]) .sort-select select,
+        :host([theme="dark"]) .search-box input {
             background: #1e1e1e;
             border-color: #333;
         }
@@ -142,13 +369,102 @@ export class FoxGallery extends LitElement {
         :host([theme="dark"]) .filter-tab:hover {
             background: #333;
         }
+
+        :host([theme="dark"]) .route-notice {
+            color: #ffd27a;
+            background: #2b2212;
+            border-color: #4d3a14;
+        }
     `;
 
     static properties = {
+        /**
+         * Photo source: 'random' for the fox API, 'custom' for the social feed
+         * or 'server' for the API server, where reactions are shared
+         */
+        apiMode: { type: String, attribute: 'api-mode', reflect: true },
+        /**
+         * Base URL of the API server used in 'server' mode
+         */
+        apiBase: { type: String, attribute: 'api-base' },
         posts: { type: Array },
         loading: { type: Boolean },
         error: { type: String },
-        activeFilter: { type: String },
+        /**
+         * Number of posts requested per page
+         */
+        pageSize: { type: Number, attribute: 'page-size' },
+        nextCursor: { type: String },
+        loadingMore: { type: Boolean },
+        pageError: { type: String },
+        searchQuery: { type: String },
+        searchResults: { type: Array },
+        searchTerms: { type: Array },
+        /**
+         * PostFilter applied to the feed or search results
+         */
+        filter: { type: Object, attribute: false },
+        savedViews: { type: Array },
+        offline: { type: Boolean, reflect: true },
+        /**
+         * HTTP endpoint the interaction outbox is synced to; syncing is off without one
+         */
+        syncEndpoint: { type: String, attribute: 'sync-endpoint' },
+        pendingSync: { type: Number },
+        /**
+         * Live count changes per post id, { at, likes, dislikes }, replayed as card animations
+         */
+        countPulses: { type: Object, attribute: false },
+        currentAuthor: { type: Object, attribute: false },
+        publishing: { type: Boolean },
+        /**
+         * IDs of the posts the current user wrote, which they may edit and delete
+         */
+        ownPostIds: { type: Object, attribute: false },
+        /**
+         * Author profile or channel page shown instead of the feed:
+         * { type: 'author' | 'channel', name, author, posts, stats }
+         */
+        page: { type: Object, attribute: false },
+        /**
+         * Channels and authors the user follows: { channels, authors }
+         */
+        follows: { type: Object, attribute: false },
+        /**
+         * Whether the Following tab is selected
+         */
+        showFollowing: { type: Boolean },
+        /**
+         * Every post from followed channels and authors while the Following tab is
+         * selected; null until loaded
+         */
+        followingPosts: { type: Array, attribute: false },
+        /**
+         * Show developer panels, such as the feed validation report; also set by ?devtools in the URL
+         */
+        devtools: { type: Boolean },
+        /**
+         * Whether the feed validation panel is open
+         */
+        feedReportOpen: { type: Boolean },
+        /**
+         * Recent activity per post from the interaction log, used by the trending order
+         */
+        trendingActivity: { type: Object, attribute: false },
+        /**
+         * Message at the bottom of the screen: { message, actionLabel, action }
+         */
+        toast: { type: Object, attribute: false },
+        /**
+         * Key of SORT_ORDERS used to order the visible posts
+         */
+        sortOrder: { type: String },
+        /**
+         * ID of the post open in the fullscreen viewer, or null
+         */
+        lightboxPostId: { type: String },
+        highlightedPostId: { type: String },
+        routeNotice: { type: String },
         totalLikes: { type: Number },
         totalDislikes: { type: Number },
         theme: { type: String, reflect: true }
@@ -159,26 +475,447 @@ export class FoxGallery extends LitElement {
         this.posts = [];
         this.loading = true;
         this.error = null;
-        this.activeFilter = 'all';
+        this.pageSize = 10;
+        this.nextCursor = null;
+        this.loadingMore = false;
+        this.pageError = null;
+        this.loadGeneration = 0;
+        this.searchResults = null;
+        this.searchTerms = [];
+        this.searchGeneration = 0;
+        this.searchTimer = null;
+        this.followingPosts = null;
+        this.followingGeneration = 0;
+
+        // Per-post card state (e.g. imageLoaded) that must outlive unmounted cards
+        this.cardStates = new Map();
+        // The posts on screen after search, tab, filter and sort; recomputed in willUpdate
+        this.filteredPosts = [];
+        this.virtualGrid = new VirtualGridController(this, {
+            getItems: () => this.filteredPosts
+        });
+        this.filter = new PostFilter();
+        this.savedViews = [];
+        this.offline = !navigator.onLine;
+        this.syncEndpoint = null;
+        this.pendingSync = 0;
+        this.countPulses = new Map();
+        this.currentAuthor = { name: 'you', image: null };
+        this.publishing = false;
+        this.ownPostIds = new Set();
+        this.toast = null;
+        this.pendingDelete = null;
+        this.page = null;
+        this.follows = { channels: [], authors: [] };
+        this.showFollowing = false;
+        this.devtools = new URLSearchParams(window.location.search).has('devtools');
+        this.feedReportOpen = false;
+        this.trendingActivity = null;
+        this.syncWorker = null;
+        this.sortOrder = 'default';
+        this.lightboxPostId = null;
+        this.highlightedPostId = null;
+        this.highlightTimer = null;
+        this.routeNotice = null;
+
+        // URL hash <-> filter, search and open post; state is only written back once the first route is applied
+        this.routeReady = false;
+        this.router = new HashRouterController(this, {
+            onChange: route => this.handleRouteChange(route)
+        });
+        this.liveUpdates = new LiveUpdatesController(this, {
+            onReaction: update => this.handleLiveReaction(update),
+            onResync: () => this.handleLiveResync()
+        });
         this.totalLikes = 0;
         this.totalDislikes = 0;
         this.theme = 'light';
         
         // Initialize services with DDD architecture
-        this.localStorageService = new LocalStorageService();
+        this.localStorageService = IndexedDBStorageService.isSupported()
+            ? new IndexedDBStorageService()
+            : new LocalStorageService();
         this.socialInteractionService = new SocialInteractionService(this.localStorageService);
-        this.socialPostRepository = new SocialPostRepository();
+        this.socialPostRepository = new SocialPostRepository(new JsonPostSource(), this.localStorageService);
+        this.apiMode = null;
+        this.apiBase = '/api';
+        this.searchQuery = '';
+        this.currentUser = 'you';
+        this.interactionQueue = Promise.resolve();
         
         // Bind methods
         this.handleLike = this.handleLike.bind(this);
         this.handleDislike = this.handleDislike.bind(this);
+        this.handleReact = this.handleReact.bind(this);
         this.handleShare = this.handleShare.bind(this);
+        this.handleComment = this.handleComment.bind(this);
+        this.handleCommentRemove = this.handleCommentRemove.bind(this);
+        this.loadNextPage = this.loadNextPage.bind(this);
+        this.handleSearchInput = this.handleSearchInput.bind(this);
+        this.clearSearch = this.clearSearch.bind(this);
+        this.handleDataImported = this.handleDataImported.bind(this);
+        this.handlePostCreate = this.handlePostCreate.bind(this);
+        this.handlePostEdit = this.handlePostEdit.bind(this);
+        this.handlePostDelete = this.handlePostDelete.bind(this);
+        this.undoDelete = this.undoDelete.bind(this);
+        this.handleAuthorOpen = this.handleAuthorOpen.bind(this);
+        this.handleChannelOpen = this.handleChannelOpen.bind(this);
+        this.handleFollowToggle = this.handleFollowToggle.bind(this);
+        this.handlePostView = this.handlePostView.bind(this);
+        this.closePage = this.closePage.bind(this);
+        this.handlePhotoOpen = this.handlePhotoOpen.bind(this);
+        this.handleLightboxNavigate = this.handleLightboxNavigate.bind(this);
+        this.closeLightbox = this.closeLightbox.bind(this);
+        this.dismissRouteNotice = this.dismissRouteNotice.bind(this);
+        this.handleSortChange = this.handleSortChange.bind(this);
+        this.handleConnectivityChange = this.handleConnectivityChange.bind(this);
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.handleViewSave = this.handleViewSave.bind(this);
+        this.handleViewDelete = this.handleViewDelete.bind(this);
     }
 
     async connectedCallback() {
         super.connectedCallback();
+        window.addEventListener('online', this.handleConnectivityChange);
+        window.addEventListener('offline', this.handleConnectivityChange);
+        await this.loadPreferences();
+
+        // Filter, sort and search in the URL win over the saved preferences
+        const route = this.router.route;
+        this.filter = route.filter ?? this.filter;
+        this.sortOrder = isSortOrder(route.sort) ? route.sort : this.sortOrder;
+        this.searchQuery = route.query ?? this.searchQuery;
+
+        this.useApiMode(this.apiMode);
+        this.startSync();
         await this.loadPosts();
+        await this.runSearch();
+        this.connectLiveUpdates();
+        this.commitLeftoverDeletes();
         this.setupThemeObserver();
+        await this.showRoutedPost(route);
+        this.routeReady = true;
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.removeEventListener('online', this.handleConnectivityChange);
+        window.removeEventListener('offline', this.handleConnectivityChange);
+        clearTimeout(this.searchTimer);
+        clearTimeout(this.highlightTimer);
+        clearTimeout(this.toastTimer);
+        this.stopSync();
+        if (this.pendingDelete) {
+            this.commitDelete(this.pendingDelete.post.id);
+        }
+        if (this.sentinelObserver) {
+            this.sentinelObserver.disconnect();
+            this.sentinelObserver = null;
+            this.observedSentinel = null;
+        }
+    }
+
+    willUpdate(changedProperties) {
+        if (FILTERED_POSTS_INPUTS.some(name => changedProperties.has(name))) {
+            this.filteredPosts = this.computeFilteredPosts();
+        }
+    }
+
+    updated(changedProperties) {
+        super.updated(changedProperties);
+        this.observeSentinel();
+
+        // Switch data source when apiMode changes after the initial load
+        if (changedProperties.has('apiMode') && this.sourceMode && this.apiMode !== this.sourceMode) {
+            this.useApiMode(this.apiMode);
+            this.startSync();
+            this.loadPosts().then(() => {
+                this.runSearch();
+                this.connectLiveUpdates();
+            });
+        }
+
+        if (changedProperties.has('sortOrder') && this.sortOrder === 'trending') {
+            this.refreshTrendingActivity();
+        }
+
+        if (this.routeReady &&
+            ['filter', 'sortOrder', 'searchQuery', 'lightboxPostId', 'page'].some(name => changedProperties.has(name))) {
+            // Opening the viewer or another page gets its own history entry so Back closes it
+            const previousPage = changedProperties.get('page');
+            const opened = (changedProperties.has('lightboxPostId') &&
+                !changedProperties.get('lightboxPostId') && this.lightboxPostId) ||
+                (changedProperties.has('page') && this.page &&
+                    (previousPage?.type !== this.page.type || previousPage?.name !== this.page.name));
+            this.router.navigate(this.getCurrentRoute(), { replace: !opened });
+        }
+    }
+
+    /**
+     * Route describing what the gallery is showing now
+     */
+    getCurrentRoute() {
+        return {
+            view: 'photo',
+            postId: this.lightboxPostId,
+            authorName: this.page?.type === 'author' ? this.page.name : null,
+            channelName: this.page?.type === 'channel' ? this.page.name : null,
+            filter: this.filter,
+            sort: this.sortOrder,
+            query: this.searchQuery.trim()
+        };
+    }
+
+    /**
+     * Apply a route after the URL hash changed (links, back/forward, manual edits)
+     */
+    async handleRouteChange(route) {
+        this.routeReady = false;
+
+        this.filter = route.filter ?? new PostFilter();
+        this.sortOrder = isSortOrder(route.sort) ? route.sort : 'default';
+        const query = route.query || '';
+        if (query !== this.searchQuery) {
+            clearTimeout(this.searchTimer);
+            this.searchQuery = query;
+            await this.runSearch();
+        }
+
+        await this.showRoutedPost(route);
+        await this.updateComplete;
+        this.routeReady = true;
+    }
+
+    /**
+     * Show the post a route points at, or explain that it can't be found
+     */
+    async showRoutedPost(route) {
+        this.routeNotice = null;
+
+        if (route.view === 'author' || route.view === 'channel') {
+            await this.openPage(route.view, route[`${route.view}Name`]);
+            return;
+        }
+        // Posts opened from a page keep it underneath the viewer
+        if (route.view !== 'photo') {
+            this.page = null;
+        }
+
+        if (!route.postId) {
+            this.lightboxPostId = null;
+            return;
+        }
+
+        const post = await this.ensurePostLoaded(route.postId);
+        if (!post) {
+            this.lightboxPostId = null;
+            this.routeNotice = `We couldn't find that post. It may have been removed, or the link is incomplete.`;
+            this.router.navigate({ ...this.getCurrentRoute(), postId: null }, { replace: true });
+            return;
+        }
+
+        if (route.view === 'photo') {
+            this.lightboxPostId = post.id;
+        } else {
+            this.lightboxPostId = null;
+            await this.revealPost(post.id);
+        }
+    }
+
+    /**
+     * Show an author's profile or a channel's page with all of their posts, not just
+     * the ones loaded in the feed; type is 'author' or 'channel'
+     */
+    async openPage(type, name) {
+        try {
+            // findByAuthor and findByChannel also match partial names
+            const key = (name || '').toLowerCase();
+            const matches = type === 'author'
+                ? (await this.socialPostRepository.findByAuthor(key))
+                    .filter(post => post.author.name.toLowerCase() === key)
+                : (await this.socialPostRepository.findByChannel(key))
+                    .filter(post => (post.author.channel || '').toLowerCase() === key);
+
+            if (matches.length === 0) {
+                this.page = null;
+                this.routeNotice = type === 'author'
+                    ? `We couldn't find any posts by ${name}.`
+                    : `We couldn't find any posts in the ${name} channel.`;
+                this.router.navigate(this.getCurrentRoute(), { replace: true });
+                return;
+            }
+
+            const posts = await this.applyUserInteractions(matches);
+            this.lightboxPostId = null;
+            this.setPagePosts({
+                type,
+                name: type === 'author' ? posts[0].author.name : posts[0].author.channel
+            }, posts);
+            window.scrollTo({ top: 0 });
+        } catch (error) {
+            console.error('Error loading page:', error);
+            this.routeNotice = `Couldn't load ${name}: ${error.message}`;
+        }
+    }
+
+    setPagePosts({ type, name }, posts) {
+        this.page = {
+            type,
+            name,
+            // A profile keeps its author when the last of their posts is deleted
+            author: type === 'author' ? posts[0]?.author || this.page?.author : null,
+            posts,
+            stats: this.socialInteractionService.getEngagementStats(posts)
+        };
+    }
+
+    handleAuthorOpen(event) {
+        this.openPage('author', event.detail.authorName);
+    }
+
+    handleChannelOpen(event) {
+        this.openPage('channel', event.detail.channel);
+    }
+
+    closePage() {
+        this.page = null;
+    }
+
+    /**
+     * Whether a post is from a channel or author the user follows
+     */
+    isFollowed(post) {
+        const matches = (names, value) => names.some(name => name.toLowerCase() === (value || '').toLowerCase());
+        return matches(this.follows.channels, post.author?.channel) || matches(this.follows.authors, post.author?.name);
+    }
+
+    isFollowing(type, name) {
+        return this.follows[type].some(existing => existing.toLowerCase() === (name || '').toLowerCase());
+    }
+
+    async handleFollowToggle(event) {
+        const { type, name, following } = event.detail;
+        this.follows = await this.localStorageService.setFollowing(type, name, following);
+        if (this.showFollowing) {
+            this.loadFollowing();
+        }
+    }
+
+    /**
+     * Load every post from the followed channels and authors, not just the ones loaded
+     * in the feed, reusing loaded posts so state stays shared
+     */
+    async loadFollowing() {
+        const generation = ++this.followingGeneration;
+
+        try {
+            const matches = (await this.socialPostRepository.fetchAll())
+                .filter(post => this.isFollowed(post));
+            if (generation !== this.followingGeneration) return;
+
+            const loaded = new Map(this.posts.map(post => [post.id, post]));
+            const unloaded = await this.applyUserInteractions(
+                matches.filter(post => !loaded.has(post.id))
+            );
+            if (generation !== this.followingGeneration) return;
+
+            unloaded.forEach(post => loaded.set(post.id, post));
+            this.followingPosts = matches.map(post => loaded.get(post.id));
+        } catch (error) {
+            if (generation !== this.followingGeneration) return;
+            console.error('Error loading followed posts:', error);
+            this.followingPosts = [];
+        }
+    }
+
+    /**
+     * Find a post in the feed, paging forward until it is loaded
+     * Returns null when the current source doesn't have the post.
+     */
+    async ensurePostLoaded(postId) {
+        const loaded = this.findPost(postId);
+        if (loaded) {
+            return loaded;
+        }
+
+        if (!this.nextCursor || !(await this.socialPostRepository.findById(postId))) {
+            return null;
+        }
+
+        while (!this.findPost(postId) && this.nextCursor && !this.pageError) {
+            const loadedBefore = this.posts.length;
+            await this.loadNextPage();
+            if (this.posts.length === loadedBefore) break;
+        }
+
+        return this.findPost(postId) || null;
+    }
+
+    /**
+     * Scroll a post's card into view and highlight it for a few seconds
+     */
+    async revealPost(postId) {
+        // Let a pending filter or search change reach the visible list first
+        await this.updateComplete;
+        if (!this.filteredPosts.some(post => post.id === postId)) {
+            // Hidden by the active filter or search, so show it on its own instead
+            this.lightboxPostId = postId;
+            return;
+        }
+
+        this.highlightedPostId = postId;
+        await this.updateComplete;
+        this.virtualGrid.scrollToKey(postId);
+
+        clearTimeout(this.highlightTimer);
+        this.highlightTimer = setTimeout(() => {
+            this.highlightedPostId = null;
+        }, 4000);
+    }
+
+    dismissRouteNotice() {
+        this.routeNotice = null;
+    }
+
+    /**
+     * Apply stored preferences; an api-mode attribute set on the element wins
+     */
+    async loadPreferences() {
+        const preferences = await this.localStorageService.getUserPreferences();
+        this.apiMode = this.apiMode || preferences.apiMode || 'custom';
+        this.searchQuery = preferences.searchQuery || '';
+        this.sortOrder = isSortOrder(preferences.sortOrder) ? preferences.sortOrder : 'default';
+        this.savedViews = await this.localStorageService.getSavedViews();
+        this.follows = await this.localStorageService.getFollows();
+        this.syncEndpoint = this.syncEndpoint || preferences.syncEndpoint || null;
+
+        const author = await this.socialInteractionService.getCurrentAuthor();
+        this.currentUser = author.name;
+        this.currentAuthor = author;
+    }
+
+    /**
+     * Point the repository at the source adapter for an apiMode value
+     */
+    useApiMode(apiMode) {
+        this.sourceMode = apiMode;
+        this.socialPostRepository.setSource(this.createPostSource(apiMode));
+    }
+
+    /**
+     * Pick the post source adapter for an apiMode value
+     */
+    createPostSource(apiMode) {
+        if (apiMode === 'random') {
+            return new RandomFoxPostSource();
+        }
+        if (apiMode === 'server') {
+            return new ApiPostSource({
+                baseUrl: this.apiBase,
+                clientId: this.socialInteractionService.outbox.getClientId()
+            });
+        }
+        return new JsonPostSource();
     }
 
     setupThemeObserver() {
@@ -200,46 +937,153 @@ export class FoxGallery extends LitElement {
         this.theme = initialTheme;
     }
 
+    /**
+     * Reset the feed and load its first page
+     */
     async loadPosts() {
+        const generation = ++this.loadGeneration;
+
         try {
             this.loading = true;
             this.error = null;
+            this.pageError = null;
+            this.loadingMore = false;
             
-            const posts = await this.socialPostRepository.getAllPosts();
-            
-            // Load saved interactions from localStorage
-            const savedInteractions = this.localStorageService.getItem('social_interactions') || {};
-            
-            // Apply saved interactions to posts
-            this.posts = posts.map(post => {
-                const postId = post.id.toString();
-                const savedData = savedInteractions[postId];
-                
-                if (savedData) {
-                    return {
-                        ...post,
-                        likes: savedData.likes || post.likes,
-                        dislikes: savedData.dislikes || post.dislikes,
-                        userHasLiked: savedData.userHasLiked || false,
-                        userHasDisliked: savedData.userHasDisliked || false
-                    };
-                }
-                
-                return {
-                    ...post,
-                    userHasLiked: false,
-                    userHasDisliked: false
-                };
-            });
+            const page = await this.socialPostRepository.fetchPage(null, this.pageSize);
+            if (generation !== this.loadGeneration) return;
+
+            const posts = await this.applyUserInteractions(page.items);
+            if (generation !== this.loadGeneration) return;
+
+            this.posts = posts;
+            this.nextCursor = page.nextCursor;
+            this.ownPostIds = await this.socialPostRepository.getOwnPostIds();
+            if (this.showFollowing) {
+                this.loadFollowing();
+            }
             
             this.calculateTotalStats();
             this.loading = false;
             
         } catch (error) {
+            if (generation !== this.loadGeneration) return;
             console.error('Error loading posts:', error);
-            this.error = `Failed to load posts: ${error.message}`;
+            this.error = this.offline
+                ? "You're offline and these posts haven't been saved for offline use yet."
+                : `Failed to load posts: ${error.message}`;
             this.loading = false;
         }
+
+        this.loadMoreIfSentinelVisible();
+    }
+
+    /**
+     * Append the next page of posts; a failed page can be retried by calling this again
+     * Calls made while a page is loading share that page's promise.
+     */
+    loadNextPage() {
+        if (!this.pageRequest) {
+            this.pageRequest = this.fetchNextPage().finally(() => {
+                this.pageRequest = null;
+            });
+        }
+        return this.pageRequest;
+    }
+
+    async fetchNextPage() {
+        if (this.loading || this.loadingMore || !this.nextCursor || this.searchResults || this.showFollowing) {
+            return;
+        }
+
+        const generation = this.loadGeneration;
+        const visibleBefore = this.filteredPosts.length;
+
+        try {
+            this.loadingMore = true;
+            this.pageError = null;
+
+            const page = await this.socialPostRepository.fetchPage(this.nextCursor, this.pageSize);
+            if (generation !== this.loadGeneration) return;
+
+            // Skip anything already in the feed in case the source shifted underneath us
+            const knownIds = new Set(this.posts.map(post => post.id));
+            const newPosts = page.items.filter(post => !knownIds.has(post.id));
+
+            const userPosts = await this.applyUserInteractions(newPosts);
+            if (generation !== this.loadGeneration) return;
+
+            this.posts = [...this.posts, ...userPosts];
+            this.nextCursor = page.nextCursor;
+            this.calculateTotalStats();
+            this.loadingMore = false;
+
+        } catch (error) {
+            if (generation !== this.loadGeneration) return;
+            console.error('Error loading next page:', error);
+            this.pageError = `Couldn't load more posts: ${error.message}`;
+            this.loadingMore = false;
+            return;
+        }
+
+        // Don't keep auto-fetching pages that the active filter hides entirely
+        await this.updateComplete;
+        if (this.filteredPosts.length > visibleBefore) {
+            this.loadMoreIfSentinelVisible();
+        }
+    }
+
+    /**
+     * Apply the user's saved votes on top of each post's base counts
+     */
+    applyUserInteractions(posts) {
+        return Promise.all(posts.map(async post => {
+            const userPost = post.clone();
+            await this.socialInteractionService.loadPostInteractions(userPost);
+            return userPost;
+        }));
+    }
+
+    /**
+     * Watch the sentinel below the grid and load the next page when it scrolls into view
+     */
+    observeSentinel() {
+        const sentinel = this.shadowRoot?.querySelector('.feed-sentinel');
+        if (sentinel === this.observedSentinel) {
+            return;
+        }
+
+        if (!this.sentinelObserver) {
+            this.sentinelObserver = new IntersectionObserver(
+                (entries) => {
+                    if (entries.some(entry => entry.isIntersecting) && !this.pageError) {
+                        this.loadNextPage();
+                    }
+                },
+                { rootMargin: '400px' }
+            );
+        }
+
+        if (this.observedSentinel) {
+            this.sentinelObserver.unobserve(this.observedSentinel);
+        }
+
+        this.observedSentinel = sentinel;
+        if (sentinel) {
+            this.sentinelObserver.observe(sentinel);
+        }
+    }
+
+    /**
+     * The observer only fires on changes, so a short page that leaves the
+     * sentinel on screen needs a manual nudge to keep filling the viewport
+     */
+    async loadMoreIfSentinelVisible() {
+        await this.updateComplete;
+        const sentinel = this.shadowRoot?.querySelector('.feed-sentinel');
+
+        if (sentinel && !this.pageError && sentinel.getBoundingClientRect().top < window.innerHeight + 400) {
+            this.loadNextPage();
+        }
     }
 
     calculateTotalStats() {
@@ -247,72 +1091,849 @@ export class FoxGallery extends LitElement {
         this.totalDislikes = this.posts.reduce((sum, post) => sum + (post.dislikes || 0), 0);
     }
 
-    handleLike(event) {
-        const { postId } = event.detail;
-        const result = this.socialInteractionService.handleLike(postId, this.posts);
-        
-        if (result.success) {
-            // Create new array to trigger Lit reactivity
-            this.posts = [...result.updatedPosts];
-            this.calculateTotalStats();
-            
-            // Save to localStorage
-            this.saveInteractionState();
+    /**
+     * Run a SocialInteractionService list handler against whichever list holds the post
+     * and keep the feed and any search results pointing at the updated copy
+     * Interactions run one at a time so each one sees the previous one's result
+     */
+    applyInteraction(postId, handler) {
+        const run = this.interactionQueue.then(() => this.runInteraction(postId, handler));
+        this.interactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    async runInteraction(postId, handler) {
+        const inFeed = this.posts.some(post => post.id === postId);
+        const list = inFeed ? this.posts : [
+            ...(this.searchResults || []).map(result => result.post),
+            ...(this.followingPosts || []),
+            ...(this.page?.posts || [])
+        ];
+        const result = await handler(postId, list);
+
+        if (!result.success) {
+            console.warn(result.message);
+            return result;
+        }
+
+        // Create new arrays to trigger Lit reactivity
+        if (inFeed) {
+            this.posts = result.updatedPosts;
+        }
+        if (this.searchResults) {
+            this.searchResults = this.searchResults.map(searchResult =>
+                searchResult.post.id === postId ? { ...searchResult, post: result.post } : searchResult
+            );
+        }
+        if (this.followingPosts) {
+            this.followingPosts = this.followingPosts.map(post => post.id === postId ? result.post : post);
+        }
+        if (this.page?.posts.some(post => post.id === postId)) {
+            this.setPagePosts(this.page, this.page.posts.map(post => post.id === postId ? result.post : post));
+        }
+        this.calculateTotalStats();
+        if (this.sortOrder === 'trending') {
+            this.refreshTrendingActivity();
         }
+
+        return result;
+    }
+
+    async refreshTrendingActivity() {
+        this.trendingActivity = await this.socialInteractionService.getTrendingActivity();
+    }
+
+    findPost(postId) {
+        return this.posts.find(post => post.id === postId) ||
+            (this.searchResults || []).find(result => result.post.id === postId)?.post ||
+            (this.followingPosts || []).find(post => post.id === postId) ||
+            this.page?.posts.find(post => post.id === postId);
+    }
+
+    handleLike(event) {
+        const { photoId } = event.detail;
+        this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.handleLike(id, posts)
+        );
     }
 
     handleDislike(event) {
-        const { postId } = event.detail;
-        const result = this.socialInteractionService.handleDislike(postId, this.posts);
-        
-        if (result.success) {
-            // Create new array to trigger Lit reactivity  
-            this.posts = [...result.updatedPosts];
-            this.calculateTotalStats();
-            
-            // Save to localStorage
-            this.saveInteractionState();
-        }
+        const { photoId } = event.detail;
+        this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.handleDislike(id, posts)
+        );
+    }
+
+    handleReact(event) {
+        const { photoId, reaction } = event.detail;
+        this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.handleReact(id, posts, reaction)
+        );
     }
 
     handleShare(event) {
-        const { postId, post } = event.detail;
-        this.socialInteractionService.handleShare(postId, post);
+        const { photo } = event.detail;
+        const post = this.findPost(photo.id);
+        if (post) {
+            const url = window.location.href.split('#')[0] + formatHash({ postId: post.id });
+            this.socialInteractionService.handleShare(post.id, post, url).then(() => {
+                if (this.sortOrder === 'trending') {
+                    this.refreshTrendingActivity();
+                }
+            });
+        }
     }
 
-    saveInteractionState() {
-        const interactions = {};
-        
-        this.posts.forEach(post => {
-            interactions[post.id.toString()] = {
-                likes: post.likes,
-                dislikes: post.dislikes,
-                userHasLiked: post.userHasLiked,
-                userHasDisliked: post.userHasDisliked
-            };
+    handlePostView(event) {
+        const { photoId } = event.detail;
+        this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.handleView(id, posts)
+        );
+    }
+
+    handleComment(event) {
+        const { photoId, text, parentId } = event.detail;
+        this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.handleAddComment(id, posts, text, parentId)
+        );
+    }
+
+    handleCommentRemove(event) {
+        const { photoId, commentId } = event.detail;
+        this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.handleRemoveComment(id, posts, commentId)
+        );
+    }
+
+    /**
+     * Save a post from the composer and put it at the top of the feed
+     */
+    async handlePostCreate(event) {
+        const composer = event.target;
+        this.publishing = true;
+
+        try {
+            const post = await this.socialPostRepository.create(event.detail.post);
+            this.posts = [post, ...this.posts.filter(existing => existing.id !== post.id)];
+            this.ownPostIds = await this.socialPostRepository.getOwnPostIds();
+            composer.reset();
+            await this.updateComplete;
+            await this.revealPost(post.id);
+        } catch (error) {
+            composer.error = error.message;
+        } finally {
+            this.publishing = false;
+        }
+    }
+
+    async handlePostEdit(event) {
+        const { photoId, title, channel } = event.detail;
+
+        const result = await this.applyInteraction(photoId, (id, posts) =>
+            this.socialInteractionService.updatePostInList(id, posts, async post => {
+                try {
+                    post.edit({ title, channel });
+                    await this.socialPostRepository.update(id, { title, channel });
+                    return { success: true };
+                } catch (error) {
+                    return { success: false, message: error.message };
+                }
+            })
+        );
+
+        if (!result.success) {
+            this.showToast({ message: `Couldn't save your changes. ${result.message}` });
+        }
+    }
+
+    /**
+     * Hide a post right away and only delete it for good once the undo window has passed
+     */
+    async handlePostDelete(event) {
+        const { photoId } = event.detail;
+        const index = this.posts.findIndex(post => post.id === photoId);
+        const pageIndex = this.page ? this.page.posts.findIndex(post => post.id === photoId) : -1;
+        const post = this.findPost(photoId);
+        if (!post) return;
+
+        try {
+            await this.socialPostRepository.softDelete(photoId);
+        } catch (error) {
+            this.showToast({ message: error.message });
+            return;
+        }
+
+        // Only one delete can be undone at a time
+        if (this.pendingDelete) {
+            this.commitDelete(this.pendingDelete.post.id);
+        }
+
+        this.posts = this.posts.filter(existing => existing.id !== photoId);
+        if (this.searchResults) {
+            this.searchResults = this.searchResults.filter(result => result.post.id !== photoId);
+        }
+        if (this.followingPosts) {
+            this.followingPosts = this.followingPosts.filter(existing => existing.id !== photoId);
+        }
+        if (pageIndex !== -1) {
+            this.setPagePosts(this.page, this.page.posts.filter(existing => existing.id !== photoId));
+        }
+        if (this.lightboxPostId === photoId) {
+            this.lightboxPostId = null;
+        }
+        this.calculateTotalStats();
+
+        this.pendingDelete = {
+            post,
+            index,
+            page: pageIndex !== -1 ? { type: this.page.type, name: this.page.name, index: pageIndex } : null,
+            timer: setTimeout(() => this.commitDelete(photoId), UNDO_DELAY)
+        };
+        this.showToast({ message: 'Post deleted', actionLabel: 'Undo', action: this.undoDelete }, UNDO_DELAY);
+    }
+
+    async undoDelete() {
+        const pending = this.pendingDelete;
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingDelete = null;
+        this.toast = null;
+
+        try {
+            await this.socialPostRepository.restore(pending.post.id);
+        } catch (error) {
+            this.showToast({ message: error.message });
+            return;
+        }
+
+        if (pending.index !== -1) {
+            const posts = [...this.posts];
+            posts.splice(Math.min(pending.index, posts.length), 0, pending.post);
+            this.posts = posts;
+        }
+        // Put it back on the page it was deleted from, if that page is still open
+        if (pending.page && this.page?.type === pending.page.type && this.page.name === pending.page.name) {
+            const posts = [...this.page.posts];
+            posts.splice(Math.min(pending.page.index, posts.length), 0, pending.post);
+            this.setPagePosts(this.page, posts);
+        }
+        this.calculateTotalStats();
+        if (this.searchResults) {
+            this.runSearch();
+        }
+        if (this.showFollowing) {
+            this.loadFollowing();
+        }
+    }
+
+    /**
+     * Delete a soft-deleted post for good, along with everything recorded about it
+     */
+    async commitDelete(postId) {
+        if (this.pendingDelete?.post.id === postId) {
+            clearTimeout(this.pendingDelete.timer);
+            this.pendingDelete = null;
+            if (this.toast?.action === this.undoDelete) {
+                this.toast = null;
+            }
+        }
+
+        try {
+            await this.socialPostRepository.commitDelete(postId);
+            await this.socialInteractionService.clearPostInteractions(postId);
+            this.ownPostIds = await this.socialPostRepository.getOwnPostIds();
+        } catch (error) {
+            // The post stays tombstoned, so the delete is retried on the next visit
+            console.warn(error.message);
+        }
+    }
+
+    /**
+     * Deletes still pending when the page was closed can no longer be undone
+     */
+    async commitLeftoverDeletes() {
+        const tombstones = await this.socialPostRepository.getTombstones();
+        for (const postId of Object.keys(tombstones)) {
+            await this.commitDelete(postId);
+        }
+    }
+
+    showToast(toast, duration = 4000) {
+        clearTimeout(this.toastTimer);
+        this.toast = toast;
+        this.toastTimer = setTimeout(() => {
+            this.toast = null;
+        }, duration);
+    }
+
+    renderToast() {
+        if (!this.toast) {
+            return '';
+        }
+
+        return html`
+            <div class="toast" role="status">
+                <span>${this.toast.message}</span>
+                ${this.toast.action ? html`
+                    <button @click=${this.toast.action}>${this.toast.actionLabel}</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Imported data can change votes, comments and preferences, so rebuild the feed
+     */
+    async handleDataImported() {
+        await this.loadPreferences();
+        this.socialPostRepository.clearCache();
+        await this.loadPosts();
+        this.runSearch();
+    }
+
+    /**
+     * Flush the interaction outbox in the background, to the API server in 'server'
+     * mode and to the sync endpoint otherwise
+     */
+    startSync() {
+        const { outbox } = this.socialInteractionService;
+        const { source } = this.socialPostRepository;
+        const toServer = typeof source.getSyncRequest === 'function';
+
+        this.stopSync();
+        this.outboxUnsubscribe = outbox.onChange(() => this.refreshPendingSync());
+        this.refreshPendingSync();
+
+        if (!this.syncEndpoint && !toServer) return;
+
+        this.syncWorker = new OutboxSyncWorker(outbox, {
+            endpoint: this.syncEndpoint,
+            getRequest: toServer ? event => source.getSyncRequest(event) : null,
+            onServerState: (postId, serverPost) => this.handleServerState(postId, serverPost),
+            onConflict: (event, serverPost) => this.handleSyncConflict(event, serverPost)
         });
-        
-        this.localStorageService.setItem('social_interactions', interactions);
+        this.syncWorker.start();
+    }
+
+    stopSync() {
+        if (this.syncWorker) {
+            this.syncWorker.stop();
+            this.syncWorker = null;
+        }
+        if (this.outboxUnsubscribe) {
+            this.outboxUnsubscribe();
+            this.outboxUnsubscribe = null;
+        }
+    }
+
+    async refreshPendingSync() {
+        this.pendingSync = (await this.socialInteractionService.outbox.getPending()).length;
+    }
+
+    /**
+     * Rebase a post onto the counts the sync server reported
+     */
+    handleServerState(postId, serverPost) {
+        return this.applyInteraction(postId, (id, posts) =>
+            this.socialInteractionService.handleServerState(id, posts, serverPost)
+        );
+    }
+
+    async handleSyncConflict(event, serverPost) {
+        await this.socialInteractionService.resolveConflict(event, serverPost);
+        if (serverPost) {
+            await this.handleServerState(event.postId, serverPost);
+        }
+    }
+
+    /**
+     * Stream other users' reactions when the data source has a live feed
+     */
+    async connectLiveUpdates() {
+        const { source } = this.socialPostRepository;
+        if (typeof source.getEventsUrl !== 'function') {
+            this.liveUpdates.disconnect();
+            return;
+        }
+        this.liveUpdates.connect(await source.getEventsUrl());
+    }
+
+    /**
+     * Patch a loaded post with live counts and animate whichever changed
+     */
+    async handleLiveReaction({ postId, likes, dislikes, reactions, vote }) {
+        const before = this.findPost(postId);
+        if (!before) return;
+
+        await this.handleServerState(postId, { likes, dislikes, reactions, vote });
+
+        // `likes` pulses the card's reaction count, which covers every reaction but dislikes
+        const after = this.findPost(postId);
+        const reactionsChanged = after && after.getReactionTotal() !== before.getReactionTotal();
+        if (after && (reactionsChanged || after.dislikes !== before.dislikes)) {
+            this.countPulses = new Map(this.countPulses).set(postId, {
+                at: Date.now(),
+                likes: reactionsChanged,
+                dislikes: after.dislikes !== before.dislikes
+            });
+        }
+    }
+
+    /**
+     * The server couldn't replay what we missed while disconnected, so reload the feed
+     */
+    handleLiveResync() {
+        this.socialPostRepository.clearCache();
+        this.loadPosts().then(() => this.runSearch());
+    }
+
+    /**
+     * Track connectivity and retry whatever failed while offline once we are back
+     */
+    handleConnectivityChange() {
+        this.offline = !navigator.onLine;
+        if (this.offline) return;
+
+        if (this.error) {
+            this.loadPosts().then(() => this.runSearch());
+        } else if (this.pageError) {
+            this.loadNextPage();
+        }
+    }
+
+    handlePhotoOpen(event) {
+        this.lightboxPostId = event.detail.photoId;
+    }
+
+    /**
+     * Step the viewer to another post, fetching the next page as it nears the end of the feed
+     */
+    handleLightboxNavigate(event) {
+        const { postId } = event.detail;
+        this.lightboxPostId = postId;
+
+        const posts = this.filteredPosts;
+        const index = posts.findIndex(post => post.id === postId);
+        if (!this.searchResults && !this.showFollowing && this.nextCursor && index >= posts.length - 2) {
+            this.loadNextPage();
+        }
+    }
+
+    closeLightbox() {
+        this.lightboxPostId = null;
+    }
+
+    /**
+     * Switch to one of the quick filter tabs: a FILTER_PRESETS name or 'following'
+     */
+    showTab(name) {
+        this.showFollowing = name === 'following';
+        this.setFilter(this.showFollowing ? new PostFilter() : PostFilter.preset(name));
+        if (this.showFollowing) {
+            this.followingPosts = null;
+            this.loadFollowing();
+        }
     }
 
     setFilter(filter) {
-        this.activeFilter = filter;
+        this.filter = filter;
+    }
+
+    handleFilterChange(event) {
+        this.setFilter(event.detail.filter);
+    }
+
+    async handleViewSave(event) {
+        this.savedViews = await this.localStorageService.saveView(event.detail.name, this.filter.toJSON());
+    }
+
+    async handleViewDelete(event) {
+        this.savedViews = await this.localStorageService.deleteView(event.detail.name);
+    }
+
+    /**
+     * Sorted unique values of an author field across the loaded posts, for filter suggestions
+     */
+    getAuthorValues(field) {
+        const values = new Set(this.posts.map(post => post.author?.[field]).filter(Boolean));
+        return [...values].sort((a, b) => a.localeCompare(b));
+    }
+
+    handleSortChange(event) {
+        this.sortOrder = event.target.value;
+        this.localStorageService.updateUserPreferences({ sortOrder: this.sortOrder });
+    }
+
+    handleSearchInput(event) {
+        this.searchQuery = event.target.value;
+
+        // The query is saved with the search, not on every keystroke
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+            this.localStorageService.updateUserPreferences({ searchQuery: this.searchQuery });
+            this.runSearch();
+        }, 250);
+    }
+
+    clearSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchQuery = '';
+        this.localStorageService.updateUserPreferences({ searchQuery: '' });
+        this.runSearch();
     }
 
-    get filteredPosts() {
-        if (this.activeFilter === 'all') {
-            return this.posts;
+    /**
+     * Search every post in the current source, reusing loaded posts so state stays shared
+     */
+    async runSearch() {
+        const generation = ++this.searchGeneration;
+        const query = this.searchQuery.trim();
+
+        if (!query) {
+            this.searchResults = null;
+            this.searchTerms = [];
+            return;
         }
-        
-        if (this.activeFilter === 'liked') {
-            return this.posts.filter(post => post.userHasLiked);
+
+        try {
+            const result = await this.socialPostRepository.search(query);
+            if (generation !== this.searchGeneration) return;
+
+            const loaded = new Map(this.posts.map(post => [post.id, post]));
+            const unloaded = await this.applyUserInteractions(
+                result.results.map(({ post }) => post).filter(post => !loaded.has(post.id))
+            );
+            if (generation !== this.searchGeneration) return;
+
+            unloaded.forEach(post => loaded.set(post.id, post));
+            this.searchResults = result.results.map(({ post, score }) => ({
+                post: loaded.get(post.id),
+                score
+            }));
+            this.searchTerms = result.terms;
+        } catch (error) {
+            if (generation !== this.searchGeneration) return;
+            console.error('Error searching posts:', error);
+            this.searchResults = [];
+            this.searchTerms = [];
         }
-        
-        if (this.activeFilter === 'popular') {
-            return this.posts.filter(post => post.likes > 50);
+    }
+
+    computeFilteredPosts() {
+        let posts;
+        if (this.searchResults) {
+            // Search covers every post, so narrowing it to followed ones is enough
+            posts = this.searchResults.map(result => result.post);
+            if (this.showFollowing) {
+                posts = posts.filter(post => this.isFollowed(post));
+            }
+        } else {
+            posts = this.showFollowing ? this.followingPosts || [] : this.posts;
         }
-        
-        return this.posts;
+
+        // Following is a timeline, so it is newest first unless another order is picked
+        const sortOrder = this.showFollowing && this.sortOrder === 'default' ? 'newest' : this.sortOrder;
+        return sortPosts(this.filter.apply(posts), sortOrder, Date.now(), this.trendingActivity);
+    }
+
+    /**
+     * Shared state object for a post's card, created on first use
+     */
+    getCardState(postId) {
+        if (!this.cardStates.has(postId)) {
+            this.cardStates.set(postId, { imageLoaded: false });
+        }
+        return this.cardStates.get(postId);
+    }
+
+    renderPostsGrid() {
+        const { rows, columns, topPadding, bottomPadding } = this.virtualGrid.getWindow();
+
+        return html`
+            <div
+                class="posts-grid"
+                style=${styleMap({
+                    paddingTop: `${topPadding}px`,
+                    paddingBottom: `${bottomPadding}px`,
+                    '--columns': String(columns)
+                })}
+            >
+                ${repeat(rows, row => row.index, row => html`
+                    <div class="posts-row" data-row=${row.index}>
+                        ${repeat(row.items, post => post.id, post => html`
+                            <fox-photo-card
+                                .photo=${post}
+                                .cardState=${this.getCardState(post.id)}
+                                .currentUser=${this.currentUser}
+                                .highlight=${this.searchTerms}
+                                ?highlighted=${post.id === this.highlightedPostId}
+                                .countPulse=${this.countPulses.get(post.id) || null}
+                                @dislike=${this.handleDislike}
+                                @react=${this.handleReact}
+                                @share=${this.handleShare}
+                                @comment=${this.handleComment}
+                                @comment-remove=${this.handleCommentRemove}
+                                @photo-open=${this.handlePhotoOpen}
+                                @author-open=${this.handleAuthorOpen}
+                                @channel-open=${this.handleChannelOpen}
+                                @post-view=${this.handlePostView}
+                                ?editable=${this.ownPostIds.has(post.id)}
+                                @post-edit=${this.handlePostEdit}
+                                @post-delete=${this.handlePostDelete}
+                            ></fox-photo-card>
+                        `)}
+                    </div>
+                `)}
+            </div>
+        `;
+    }
+
+    renderFeedFooter() {
+        let status = '';
+
+        if (this.pageError) {
+            status = html`
+                <div class="feed-status error" role="alert">
+                    ${this.pageError}
+                    <button class="retry-button" @click=${this.loadNextPage}>Retry</button>
+                </div>
+            `;
+        } else if (this.loadingMore) {
+            status = html`<div class="feed-status" role="status">Loading more photos...</div>`;
+        } else if (!this.nextCursor && this.posts.length > 0) {
+            status = html`<div class="feed-status">You're all caught up 🦊</div>`;
+        }
+
+        // The sentinel stays mounted between pages so the observer only fires when it re-enters view
+        return html`
+            ${status}
+            ${this.nextCursor ? html`<div class="feed-sentinel" aria-hidden="true"></div>` : ''}
+        `;
+    }
+
+    /**
+     * Whether every post that could be shown is loaded: search results and the Following
+     * tab are loaded in full, the feed once its last page is in
+     */
+    get isListComplete() {
+        if (this.searchResults) return true;
+        if (this.showFollowing) return this.followingPosts !== null;
+        return !this.nextCursor;
+    }
+
+    getEmptyMessage() {
+        if (this.showFollowing && this.follows.channels.length === 0 && this.follows.authors.length === 0) {
+            return 'Follow channels and authors to see their posts here.';
+        }
+        if (this.searchResults) {
+            return 'No posts match your search.';
+        }
+        return this.showFollowing
+            ? 'No posts from the channels and authors you follow.'
+            : 'No posts match the current filter.';
+    }
+
+    renderPage() {
+        if (this.page.type === 'author') {
+            return html`
+                <fox-author-profile
+                    data-theme=${this.theme}
+                    .author=${this.page.author}
+                    .posts=${this.page.posts}
+                    .stats=${this.page.stats}
+                    ?following=${this.isFollowing('authors', this.page.name)}
+                    @photo-open=${this.handlePhotoOpen}
+                    @channel-open=${this.handleChannelOpen}
+                    @follow-toggle=${this.handleFollowToggle}
+                    @close=${this.closePage}
+                ></fox-author-profile>
+            `;
+        }
+
+        return html`
+            <fox-channel-page
+                data-theme=${this.theme}
+                .channel=${this.page.name}
+                .posts=${this.page.posts}
+                .stats=${this.page.stats}
+                ?following=${this.isFollowing('channels', this.page.name)}
+                @photo-open=${this.handlePhotoOpen}
+                @follow-toggle=${this.handleFollowToggle}
+                @close=${this.closePage}
+            ></fox-channel-page>
+        `;
+    }
+
+    renderFeed() {
+        return html`
+            <div class="stats">
+                <div class="stat-item">
+                    <div class="stat-number">${this.posts.length}</div>
+                    <div class="stat-label">Posts</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-number">${this.totalLikes}</div>
+                    <div class="stat-label">Total Likes</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-number">${this.totalDislikes}</div>
+                    <div class="stat-label">Total Dislikes</div>
+                </div>
+            </div>
+
+            <details class="data-panel">
+                <summary>✏️ New post</summary>
+                <fox-post-composer
+                    data-theme=${this.theme}
+                    .author=${this.currentAuthor}
+                    .channels=${this.getAuthorValues('channel')}
+                    ?busy=${this.publishing}
+                    @post-create=${this.handlePostCreate}
+                ></fox-post-composer>
+            </details>
+
+            ${this.devtools ? html`
+                <details class="data-panel" @toggle=${event => { this.feedReportOpen = event.target.open; }}>
+                    <summary>🩺 Feed validation</summary>
+                    ${this.feedReportOpen ? html`
+                        <fox-feed-report
+                            data-theme=${this.theme}
+                            .report=${this.socialPostRepository.getValidationReport()}
+                        ></fox-feed-report>
+                    ` : ''}
+                </details>
+            ` : ''}
+
+            <details class="data-panel">
+                <summary>Your data</summary>
+                <fox-data-manager
+                    data-theme=${this.theme}
+                    .storageService=${this.localStorageService}
+                    @data-imported=${this.handleDataImported}
+                ></fox-data-manager>
+            </details>
+
+            <div class="filter-tabs">
+                <button 
+                    class="filter-tab ${!this.showFollowing && this.filter.equals(PostFilter.preset('all')) ? 'active' : ''}"
+                    @click=${() => this.showTab('all')}
+                >
+                    All Posts
+                </button>
+                <button 
+                    class="filter-tab ${!this.showFollowing && this.filter.equals(PostFilter.preset('popular')) ? 'active' : ''}"
+                    @click=${() => this.showTab('popular')}
+                >
+                    Popular
+                </button>
+                <button 
+                    class="filter-tab ${!this.showFollowing && this.filter.equals(PostFilter.preset('liked')) ? 'active' : ''}"
+                    @click=${() => this.showTab('liked')}
+                >
+                    Liked by You
+                </button>
+                <button 
+                    class="filter-tab ${this.showFollowing ? 'active' : ''}"
+                    @click=${() => this.showTab('following')}
+                >
+                    Following
+                </button>
+                <label class="sort-select">
+                    Sort
+                    <select .value=${this.sortOrder} @change=${this.handleSortChange}>
+                        ${Object.entries(SORT_ORDERS).map(([value, { label }]) => html`
+                            <option value=${value} ?selected=${value === this.sortOrder}>
+                                ${value === 'default' && this.searchResults ? 'Best match' : label}
+                            </option>
+                        `)}
+                    </select>
+                </label>
+                <div class="search-box" role="search">
+                    <input
+                        type="search"
+                        placeholder="Search posts, people, channels"
+                        aria-label="Search posts, people and channels"
+                        .value=${this.searchQuery}
+                        @input=${this.handleSearchInput}
+                    />
+                    ${this.searchQuery ? html`
+                        <button class="search-clear" @click=${this.clearSearch} title="Clear search">✕</button>
+                    ` : ''}
+                </div>
+            </div>
+
+            <fox-filter-bar
+                data-theme=${this.theme}
+                .filter=${this.filter}
+                .savedViews=${this.savedViews}
+                .channels=${this.getAuthorValues('channel')}
+                .authors=${this.getAuthorValues('name')}
+                @filter-change=${this.handleFilterChange}
+                @view-save=${this.handleViewSave}
+                @view-delete=${this.handleViewDelete}
+            ></fox-filter-bar>
+
+            ${this.routeNotice ? html`
+                <div class="route-notice" role="alert">
+                    ${this.routeNotice}
+                    <button class="retry-button" @click=${this.dismissRouteNotice}>Dismiss</button>
+                </div>
+            ` : ''}
+
+            ${this.searchResults ? html`
+                <div class="search-summary" role="status">
+                    ${this.filteredPosts.length} ${this.filteredPosts.length === 1 ? 'result' : 'results'}
+                    for “${this.searchQuery.trim()}”
+                </div>
+            ` : ''}
+
+            ${this.renderPostsGrid()}
+
+            ${this.filteredPosts.length === 0 && this.isListComplete ? html`
+                <div class="loading">
+                    ${this.getEmptyMessage()}
+                </div>
+            ` : ''}
+
+            ${this.searchResults || this.showFollowing ? '' : this.renderFeedFooter()}
+        `;
+    }
+
+    renderLightbox() {
+        const post = this.lightboxPostId ? this.findPost(this.lightboxPostId) : null;
+        if (!post) {
+            return '';
+        }
+
+        return html`
+            <fox-lightbox
+                .post=${post}
+                .posts=${this.page ? this.page.posts : this.filteredPosts}
+                @like=${this.handleLike}
+                @dislike=${this.handleDislike}
+                @share=${this.handleShare}
+                @navigate=${this.handleLightboxNavigate}
+                @close=${this.closeLightbox}
+            ></fox-lightbox>
+        `;
+    }
+
+    renderOfflineBanner() {
+        const waiting = this.syncWorker && this.pendingSync > 0
+            ? html`<div class="sync-status">⏳ ${this.pendingSync} ${this.pendingSync === 1 ? 'change' : 'changes'} waiting to sync</div>`
+            : '';
+
+        if (!this.offline) {
+            return waiting;
+        }
+
+        return html`
+            <div class="offline-banner" role="status">
+                📴 You're offline. Showing saved posts and photos; the rest will load when you reconnect.
+                ${waiting}
+            </div>
+        `;
     }
 
     render() {
@@ -327,6 +1948,7 @@ export class FoxGallery extends LitElement {
         if (this.error) {
             return html`
                 <div class="gallery-container">
+                    ${this.renderOfflineBanner()}
                     <div class="error">${this.error}</div>
                 </div>
             `;
@@ -334,59 +1956,13 @@ export class FoxGallery extends LitElement {
 
         return html`
             <div class="gallery-container">
-                <div class="stats">
-                    <div class="stat-item">
-                        <div class="stat-number">${this.posts.length}</div>
-                        <div class="stat-label">Posts</div>
-                    </div>
-                    <div class="stat-item">
-                        <div class="stat-number">${this.totalLikes}</div>
-                        <div class="stat-label">Total Likes</div>
-                    </div>
-                    <div class="stat-item">
-                        <div class="stat-number">${this.totalDislikes}</div>
-                        <div class="stat-label">Total Dislikes</div>
-                    </div>
-                </div>
+                ${this.renderOfflineBanner()}
 
-                <div class="filter-tabs">
-                    <button 
-                        class="filter-tab ${this.activeFilter === 'all' ? 'active' : ''}"
-                        @click=${() => this.setFilter('all')}
-                    >
-                        All Posts
-                    </button>
-                    <button 
-                        class="filter-tab ${this.activeFilter === 'popular' ? 'active' : ''}"
-                        @click=${() => this.setFilter('popular')}
-                    >
-                        Popular
-                    </button>
-                    <button 
-                        class="filter-tab ${this.activeFilter === 'liked' ? 'active' : ''}"
-                        @click=${() => this.setFilter('liked')}
-                    >
-                        Liked by You
-                    </button>
-                </div>
-
-                <div class="posts-grid">
-                    ${this.filteredPosts.map(post => html`
-                        <fox-photo-card
-                            .post=${post}
-                            @like=${this.handleLike}
-                            @dislike=${this.handleDislike}
-                            @share=${this.handleShare}
-                        ></fox-photo-card>
-                    `)}
-                </div>
-
-                ${this.filteredPosts.length === 0 ? html`
-                    <div class="loading">
-                        No posts match the current filter.
-                    </div>
-                ` : ''}
+                ${this.page ? this.renderPage() : this.renderFeed()}
             </div>
+
+            ${this.renderLightbox()}
+            ${this.renderToast()}
         `;
     }
 }
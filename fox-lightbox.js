@@ -0,0 +1,592 @@
+import { LitElement, html, css } from 'lit';
+import { styleMap } from 'lit/directives/style-map.js';
+import { ifDefined } from 'lit/directives/if-defined.js';
+import { getSrcset } from './ResponsiveImage.js';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Element inside any shadow roots that currently has focus
+ */
+function getDeepActiveElement() {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+        active = active.shadowRoot.activeElement;
+    }
+    return active;
+}
+
+/**
+ * `fox-lightbox`
+ * Fullscreen, uncropped photo viewer with prev/next navigation,
+ * swipe, pinch/wheel zoom and social actions
+ *
+ * @demo demo/index.html
+ * @element fox-lightbox
+ * @class FoxLightbox
+ * @extends LitElement
+ * @customElement
+ * @fires like - Fired when user likes the photo
+ * @fires dislike - Fired when user dislikes the photo
+ * @fires share - Fired when user shares the photo
+ * @fires navigate - Fired with the post ID to show next
+ * @fires close - Fired when the viewer should be dismissed
+ */
+export class FoxLightbox extends LitElement {
+    static styles = css`
+        :host {
+            position: fixed;
+            inset: 0;
+            z-index: 1000;
+            display: block;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+        }
+
+        .lightbox {
+            position: absolute;
+            inset: 0;
+            display: flex;
+            flex-direction: column;
+            background: rgba(0, 0, 0, 0.92);
+            color: white;
+            outline: none;
+        }
+
+        .toolbar {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 12px 16px;
+        }
+
+        .counter {
+            font-size: 14px;
+            color: #bbb;
+        }
+
+        .stage {
+            position: relative;
+            flex: 1;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+            touch-action: none;
+            user-select: none;
+        }
+
+        .stage img {
+            max-width: 100%;
+            max-height: 100%;
+            object-fit: contain;
+            transform-origin: center center;
+            transition: transform 0.15s ease;
+            cursor: zoom-in;
+            -webkit-user-drag: none;
+        }
+
+        .stage.zoomed img {
+            cursor: grab;
+        }
+
+        .stage.dragging img {
+            transition: none;
+        }
+
+        .stage .status {
+            position: absolute;
+            color: #bbb;
+            font-size: 14px;
+        }
+
+        button {
+            background: rgba(255, 255, 255, 0.12);
+            color: white;
+            border: none;
+            border-radius: 20px;
+            padding: 8px 14px;
+            font-size: 14px;
+            cursor: pointer;
+            transition: background 0.2s ease;
+        }
+
+        button:hover {
+            background: rgba(255, 255, 255, 0.24);
+        }
+
+        button:focus-visible {
+            outline: 2px solid #ff6b35;
+            outline-offset: 2px;
+        }
+
+        button:disabled {
+            opacity: 0.3;
+            cursor: default;
+        }
+
+        .nav-button {
+            position: absolute;
+            top: 50%;
+            transform: translateY(-50%);
+            z-index: 1;
+            width: 44px;
+            height: 44px;
+            padding: 0;
+            font-size: 22px;
+        }
+
+        .nav-button.prev {
+            left: 12px;
+        }
+
+        .nav-button.next {
+            right: 12px;
+        }
+
+        .caption {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 12px 16px 16px;
+        }
+
+        .caption-text {
+            min-width: 0;
+        }
+
+        .caption-title {
+            margin: 0;
+            font-weight: 600;
+        }
+
+        .caption-meta {
+            margin: 4px 0 0;
+            font-size: 12px;
+            color: #bbb;
+        }
+
+        .actions {
+            display: flex;
+            gap: 8px;
+        }
+
+        .actions button[aria-pressed="true"].like-button {
+            background: rgba(237, 73, 86, 0.4);
+        }
+
+        .actions button[aria-pressed="true"].dislike-button {
+            background: rgba(255, 255, 255, 0.35);
+        }
+
+        @media (max-width: 768px) {
+            .nav-button {
+                display: none;
+            }
+        }
+    `;
+
+    static properties = {
+        /**
+         * Post currently shown in the viewer
+         * @type {Object}
+         */
+        post: { type: Object, attribute: false },
+
+        /**
+         * Posts to step through with prev/next, in display order
+         * @type {Array}
+         */
+        posts: { type: Array, attribute: false },
+
+        zoom: { state: true },
+        panX: { state: true },
+        panY: { state: true },
+        swipeOffset: { state: true },
+        imageStatus: { state: true }
+    };
+
+    constructor() {
+        super();
+        this.post = null;
+        this.posts = [];
+        this.lastIndex = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.resetZoom();
+        this.imageStatus = 'loading';
+
+        // Lit listens passively by default; wheel zoom has to cancel page scrolling
+        this.wheelListener = { handleEvent: event => this.handleWheel(event), passive: false };
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        this.previouslyFocused = getDeepActiveElement();
+        this.previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        document.body.style.overflow = this.previousOverflow;
+        if (this.previouslyFocused && this.previouslyFocused.isConnected) {
+            this.previouslyFocused.focus();
+        }
+    }
+
+    firstUpdated() {
+        this.shadowRoot.querySelector('.close-button').focus();
+    }
+
+    willUpdate(changedProperties) {
+        if (changedProperties.has('post') || changedProperties.has('posts')) {
+            const index = this.currentIndex;
+            // Keep the last position when the post drops out of the list (e.g. unliked under "Liked by You")
+            if (index !== -1) {
+                this.lastIndex = index;
+            }
+        }
+
+        const previousPost = changedProperties.get('post');
+        if (changedProperties.has('post') && previousPost?.id !== this.post?.id) {
+            this.resetZoom();
+            this.imageStatus = 'loading';
+        }
+    }
+
+    get currentIndex() {
+        return this.post ? this.posts.findIndex(post => post.id === this.post.id) : -1;
+    }
+
+    /**
+     * Post one step before (-1) or after (+1) the current one, or null at either end
+     */
+    getNeighbour(step) {
+        const index = this.currentIndex;
+        const target = index !== -1
+            ? index + step
+            : this.lastIndex + (step > 0 ? 0 : -1);
+        return this.posts[target] || null;
+    }
+
+    showPrevious() {
+        this.navigateTo(this.getNeighbour(-1));
+    }
+
+    showNext() {
+        this.navigateTo(this.getNeighbour(1));
+    }
+
+    navigateTo(post) {
+        if (!post) return;
+        this.dispatchEvent(new CustomEvent('navigate', {
+            bubbles: true,
+            detail: { postId: post.id }
+        }));
+    }
+
+    close() {
+        this.dispatchEvent(new CustomEvent('close', { bubbles: true }));
+    }
+
+    handleLike() {
+        this.dispatchEvent(new CustomEvent('like', {
+            bubbles: true,
+            detail: { photoId: this.post.id }
+        }));
+    }
+
+    handleDislike() {
+        this.dispatchEvent(new CustomEvent('dislike', {
+            bubbles: true,
+            detail: { photoId: this.post.id }
+        }));
+    }
+
+    handleShare() {
+        this.dispatchEvent(new CustomEvent('share', {
+            bubbles: true,
+            detail: { photo: this.post }
+        }));
+    }
+
+    resetZoom() {
+        this.zoom = MIN_ZOOM;
+        this.panX = 0;
+        this.panY = 0;
+        this.swipeOffset = 0;
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+        if (this.zoom === MIN_ZOOM) {
+            this.panX = 0;
+            this.panY = 0;
+        }
+    }
+
+    handleKeydown(event) {
+        switch (event.key) {
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                event.preventDefault();
+                this.showPrevious();
+                break;
+            case 'ArrowRight':
+                event.preventDefault();
+                this.showNext();
+                break;
+            case '+':
+            case '=':
+                this.setZoom(this.zoom * 1.25);
+                break;
+            case '-':
+                this.setZoom(this.zoom / 1.25);
+                break;
+            case '0':
+                this.resetZoom();
+                break;
+            case 'Tab':
+                this.trapFocus(event);
+                break;
+        }
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling through the viewer's own buttons
+     */
+    trapFocus(event) {
+        const focusable = [...this.shadowRoot.querySelectorAll('button:not([disabled])')];
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = this.shadowRoot.activeElement;
+
+        if (event.shiftKey && (active === first || !focusable.includes(active))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || !focusable.includes(active))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        this.setZoom(this.zoom * Math.exp(-event.deltaY * 0.002));
+    }
+
+    handleDoubleClick() {
+        if (this.pressedTarget?.tagName !== 'IMG') return;
+        this.setZoom(this.zoom > MIN_ZOOM ? MIN_ZOOM : 2);
+    }
+
+    pointerDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * One pointer swipes between posts (or pans when zoomed in), two pointers pinch-zoom
+     */
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        if (event.target.closest('button')) return;
+
+        // Pointer capture retargets the following click to the stage, so remember what was pressed
+        this.pressedTarget = event.target;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (this.pointers.size === 2) {
+            this.gesture = {
+                type: 'pinch',
+                startDistance: this.pointerDistance(),
+                startZoom: this.zoom
+            };
+            this.swipeOffset = 0;
+        } else if (this.pointers.size === 1) {
+            this.gesture = {
+                type: this.zoom > MIN_ZOOM ? 'pan' : 'swipe',
+                startX: event.clientX,
+                startY: event.clientY,
+                originX: this.panX,
+                originY: this.panY
+            };
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch' && this.pointers.size === 2) {
+            this.setZoom(gesture.startZoom * this.pointerDistance() / gesture.startDistance);
+        } else if (gesture.type === 'pan') {
+            this.panX = gesture.originX + (event.clientX - gesture.startX) / this.zoom;
+            this.panY = gesture.originY + (event.clientY - gesture.startY) / this.zoom;
+        } else if (gesture.type === 'swipe') {
+            this.swipeOffset = event.clientX - gesture.startX;
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+
+        const gesture = this.gesture;
+        if (gesture && gesture.type === 'swipe' && event.type === 'pointerup') {
+            const deltaX = event.clientX - gesture.startX;
+            const deltaY = event.clientY - gesture.startY;
+
+            if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+                this.suppressClick = true;
+                if (deltaX < 0) {
+                    this.showNext();
+                } else {
+                    this.showPrevious();
+                }
+            }
+        }
+
+        // Lifting one finger of a pinch ends the gesture rather than jumping into a pan
+        if (this.pointers.size === 0 || (gesture && gesture.type === 'pinch')) {
+            this.gesture = null;
+            this.swipeOffset = 0;
+        }
+    }
+
+    /**
+     * Clicking the backdrop around the photo closes the viewer
+     */
+    handleStageClick(event) {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        if (event.target === event.currentTarget && this.pressedTarget === event.currentTarget) {
+            this.close();
+        }
+    }
+
+    render() {
+        if (!this.post) {
+            return html``;
+        }
+
+        const post = this.post;
+        const index = this.currentIndex;
+        const previous = this.getNeighbour(-1);
+        const next = this.getNeighbour(1);
+        const dragging = this.gesture !== null;
+
+        return html`
+            <div
+                class="lightbox"
+                role="dialog"
+                aria-modal="true"
+                aria-label="${post.title || 'Photo'}"
+                tabindex="-1"
+                @keydown=${this.handleKeydown}
+            >
+                <div class="toolbar">
+                    <span class="counter">
+                        ${index !== -1 ? `${index + 1} / ${this.posts.length}` : ''}
+                    </span>
+                    <div class="actions">
+                        <button @click=${() => this.setZoom(this.zoom / 1.25)} ?disabled=${this.zoom <= MIN_ZOOM} title="Zoom out">−</button>
+                        <button @click=${() => this.setZoom(this.zoom * 1.25)} ?disabled=${this.zoom >= MAX_ZOOM} title="Zoom in">+</button>
+                        <button class="close-button" @click=${this.close} title="Close (Esc)">✕</button>
+                    </div>
+                </div>
+
+                <div
+                    class="stage ${this.zoom > MIN_ZOOM ? 'zoomed' : ''} ${dragging ? 'dragging' : ''}"
+                    @pointerdown=${this.handlePointerDown}
+                    @pointermove=${this.handlePointerMove}
+                    @pointerup=${this.handlePointerUp}
+                    @pointercancel=${this.handlePointerUp}
+                    @wheel=${this.wheelListener}
+                    @click=${this.handleStageClick}
+                    @dblclick=${this.handleDoubleClick}
+                >
+                    <button
+                        class="nav-button prev"
+                        @click=${this.showPrevious}
+                        ?disabled=${!previous}
+                        title="Previous photo (←)"
+                    >‹</button>
+
+                    ${this.imageStatus === 'loading' ? html`<div class="status">Loading image...</div>` : ''}
+                    ${this.imageStatus === 'error' ? html`<div class="status">Failed to load image</div>` : ''}
+
+                    <img
+                        src="${post.source || ''}"
+                        srcset=${ifDefined(getSrcset(post.source) || undefined)}
+                        sizes="100vw"
+                        alt="${post.title || ''}"
+                        draggable="false"
+                        style=${styleMap({
+                            transform: `translateX(${this.swipeOffset}px) scale(${this.zoom}) translate(${this.panX}px, ${this.panY}px)`,
+                            visibility: this.imageStatus === 'loaded' ? 'visible' : 'hidden'
+                        })}
+                        @load=${() => { this.imageStatus = 'loaded'; }}
+                        @error=${() => { this.imageStatus = 'error'; }}
+                    />
+
+                    <button
+                        class="nav-button next"
+                        @click=${this.showNext}
+                        ?disabled=${!next}
+                        title="Next photo (→)"
+                    >›</button>
+                </div>
+
+                <div class="caption">
+                    <div class="caption-text">
+                        <p class="caption-title">${post.title}</p>
+                        <p class="caption-meta">
+                            ${post.author?.name || 'Unknown Author'} • ${post.date}
+                        </p>
+                    </div>
+                    <div class="actions">
+                        <button
+                            class="like-button"
+                            @click=${this.handleLike}
+                            aria-pressed="${post.userHasLiked ? 'true' : 'false'}"
+                            title="${post.userHasLiked ? 'Remove your like' : 'Like this photo'}"
+                        >
+                            ❤️ ${post.likes || 0}
+                        </button>
+                        <button
+                            class="dislike-button"
+                            @click=${this.handleDislike}
+                            aria-pressed="${post.userHasDisliked ? 'true' : 'false'}"
+                            title="${post.userHasDisliked ? 'Remove your dislike' : 'Dislike this photo'}"
+                        >
+                            👎 ${post.dislikes || 0}
+                        </button>
+                        <button @click=${this.handleShare} title="Share this photo">📤 Share</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+}
+
+customElements.define('fox-lightbox', FoxLightbox);
\ No newline at end of file
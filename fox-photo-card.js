@@ -1,4 +1,23 @@
 import { LitElement, html, css } from 'lit';
+import { ifDefined } from 'lit/directives/if-defined.js';
+import { Comment } from './Comment.js';
+import { highlightSegments } from './PostSearchIndex.js';
+import { REACTIONS, getReaction } from './Reactions.js';
+import { getSrcset, getAspectRatio } from './ResponsiveImage.js';
+
+// A post counts as viewed once its photo is at least half on screen for a second
+const VIEW_THRESHOLD = 0.5;
+const VIEW_DWELL = 1000;
+
+// The reaction picker opens after hovering the reaction button, or holding it on touch screens
+const PICKER_HOVER_DELAY = 400;
+const PICKER_CLOSE_DELAY = 300;
+const LONG_PRESS = 500;
+
+// Shape of the photo until its real size is known
+const DEFAULT_ASPECT_RATIO = 4 / 3;
+// sizes hint for the first render, before the card has measured its photo's width
+const DEFAULT_SIZES = '(max-width: 600px) 100vw, 600px';
 
 /**
  * `fox-photo-card`
@@ -9,9 +28,17 @@ import { LitElement, html, css } from 'lit';
  * @class FoxPhotoCard
  * @extends LitElement
  * @customElement
- * @fires like - Fired when user likes the photo
+ * @fires react - Fired with a reaction type when user reacts, or repeats their reaction to take it back
  * @fires dislike - Fired when user dislikes the photo  
  * @fires share - Fired when user shares the photo
+ * @fires comment - Fired when user posts a comment or reply
+ * @fires comment-remove - Fired when user deletes one of their comments
+ * @fires photo-open - Fired when user opens the photo in the fullscreen viewer
+ * @fires author-open - Fired with the author's name when user clicks their avatar or name
+ * @fires channel-open - Fired with the channel name when user clicks the post's channel
+ * @fires post-edit - Fired with a new title and channel when user edits their own post
+ * @fires post-delete - Fired when user deletes their own post
+ * @fires post-view - Fired when the photo has been on screen long enough to count as a view
  */
 export class FoxPhotoCard extends LitElement {
     static styles = css`
@@ -22,10 +49,14 @@ export class FoxPhotoCard extends LitElement {
             margin-bottom: 20px;
             width: 100%;
             max-width: 600px;
-            min-height: 80vh;
             transition: all 0.2s ease;
         }
 
+        :host([highlighted]) {
+            border-color: #ff6b35;
+            box-shadow: 0 0 0 3px rgba(255, 107, 53, 0.35);
+        }
+
         :host(:last-child) {
             margin-bottom: 60px;
         }
@@ -49,6 +80,21 @@ export class FoxPhotoCard extends LitElement {
             flex: 1;
         }
 
+        .author-link {
+            padding: 0;
+            border: none;
+            background: none;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+            text-align: left;
+        }
+
+        .author-name .author-link:hover,
+        .author-details .author-link:hover {
+            text-decoration: underline;
+        }
+
         .author-name {
             font-weight: 600;
             color: #262626;
@@ -65,29 +111,47 @@ export class FoxPhotoCard extends LitElement {
         .photo-container {
             position: relative;
             width: 100%;
-            height: 60vh;
-            min-height: 400px;
-            max-height: 600px;
             overflow: hidden;
             background: #f8f8f8;
         }
 
-        .photo {
+        .photo,
+        .photo-preview {
+            position: absolute;
+            inset: 0;
             width: 100%;
             height: 100%;
             display: block;
             object-fit: cover;
-            transition: opacity 0.3s ease;
         }
 
-        .photo[data-src] {
+        /* Blurred thumbnail shown until the full photo has loaded over it */
+        .photo-preview {
+            filter: blur(16px);
+            transform: scale(1.1);
+        }
+
+        .photo {
             opacity: 0;
+            transition: opacity 0.3s ease;
+            cursor: zoom-in;
         }
 
-        .photo:not([data-src]) {
+        .photo.loaded {
             opacity: 1;
         }
 
+        @media (prefers-reduced-motion: reduce) {
+            .photo {
+                transition: none;
+            }
+        }
+
+        .photo:focus-visible {
+            outline: 3px solid #ff6b35;
+            outline-offset: -3px;
+        }
+
         .photo-placeholder {
             position: absolute;
             top: 0;
@@ -124,6 +188,26 @@ export class FoxPhotoCard extends LitElement {
             padding: 12px 16px;
         }
 
+        .count {
+            display: inline-block;
+        }
+
+        .count.bumped {
+            animation: count-bump 0.6s ease-out;
+        }
+
+        @keyframes count-bump {
+            0% { transform: scale(1); color: inherit; }
+            30% { transform: scale(1.4); color: #ff6b35; }
+            100% { transform: scale(1); color: inherit; }
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+            .count.bumped {
+                animation: none;
+            }
+        }
+
         .action-buttons {
             display: flex;
             gap: 16px;
@@ -160,10 +244,168 @@ export class FoxPhotoCard extends LitElement {
             color: #8e44ad;
         }
 
+        .reaction-control {
+            position: relative;
+        }
+
+        .like-button {
+            /* Holding the button opens the reaction picker instead of selecting text */
+            user-select: none;
+            -webkit-touch-callout: none;
+        }
+
+        .reaction-picker {
+            position: absolute;
+            left: 0;
+            bottom: 100%;
+            z-index: 2;
+            display: flex;
+            gap: 2px;
+            padding: 4px 6px;
+            margin-bottom: 4px;
+            background: white;
+            border: 1px solid #dbdbdb;
+            border-radius: 999px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.12);
+        }
+
+        .reaction-option {
+            border: none;
+            background: none;
+            cursor: pointer;
+            font-size: 24px;
+            padding: 2px 4px;
+            border-radius: 50%;
+            transition: transform 0.1s ease;
+        }
+
+        .reaction-option:hover,
+        .reaction-option:focus-visible {
+            transform: scale(1.3);
+            outline: none;
+        }
+
+        .reaction-option.selected {
+            background: #fde8e6;
+        }
+
+        .reaction-summary {
+            display: inline-flex;
+            gap: 8px;
+        }
+
         .share-button {
             color: #3498db;
         }
 
+        .comments-button {
+            font-size: 18px;
+        }
+
+        .comments {
+            border-top: 1px solid #efefef;
+            margin-top: 8px;
+            padding-top: 8px;
+        }
+
+        .comment-list {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+        }
+
+        .comment-list .comment-list {
+            margin-left: 20px;
+            padding-left: 10px;
+            border-left: 2px solid #efefef;
+        }
+
+        .comment {
+            font-size: 14px;
+            color: #262626;
+            margin: 6px 0;
+            word-wrap: break-word;
+        }
+
+        .comment-author {
+            font-weight: 600;
+            margin-right: 6px;
+        }
+
+        .comment-meta {
+            display: flex;
+            gap: 12px;
+            color: #8e8e8e;
+            font-size: 12px;
+            margin-top: 2px;
+        }
+
+        .comment-meta button {
+            border: none;
+            background: none;
+            padding: 0;
+            color: inherit;
+            font-size: 12px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .comment-meta button:hover {
+            color: #262626;
+        }
+
+        .no-comments {
+            color: #8e8e8e;
+            font-size: 13px;
+            margin: 6px 0;
+        }
+
+        .comment-composer {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            margin-top: 8px;
+        }
+
+        .comment-composer input {
+            flex: 1;
+            min-width: 0;
+            padding: 8px 12px;
+            border: 1px solid #dbdbdb;
+            border-radius: 20px;
+            font-size: 14px;
+            background: transparent;
+            color: inherit;
+        }
+
+        .comment-composer button {
+            border: none;
+            background: none;
+            color: #ff6b35;
+            font-weight: 600;
+            font-size: 14px;
+            cursor: pointer;
+        }
+
+        .comment-composer button:disabled {
+            opacity: 0.4;
+            cursor: default;
+        }
+
+        .replying-to {
+            color: #8e8e8e;
+            font-size: 12px;
+            margin-top: 8px;
+        }
+
+        .replying-to button {
+            border: none;
+            background: none;
+            color: #3498db;
+            font-size: 12px;
+            cursor: pointer;
+        }
+
         .engagement {
             color: #262626;
             font-size: 14px;
@@ -178,6 +420,111 @@ export class FoxPhotoCard extends LitElement {
             word-wrap: break-word;
         }
 
+        .post-menu {
+            position: relative;
+        }
+
+        .menu-button {
+            border: none;
+            background: none;
+            color: #8e8e8e;
+            cursor: pointer;
+            font-size: 20px;
+            line-height: 1;
+            padding: 4px 8px;
+            border-radius: 4px;
+        }
+
+        .menu-button:hover {
+            background-color: #f0f0f0;
+        }
+
+        .menu {
+            position: absolute;
+            right: 0;
+            top: 100%;
+            z-index: 2;
+            min-width: 140px;
+            padding: 4px 0;
+            background: white;
+            border: 1px solid #dbdbdb;
+            border-radius: 8px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.12);
+        }
+
+        .menu button {
+            display: block;
+            width: 100%;
+            padding: 8px 16px;
+            border: none;
+            background: none;
+            color: #262626;
+            cursor: pointer;
+            font-size: 14px;
+            text-align: left;
+        }
+
+        .menu button:hover,
+        .menu button:focus-visible {
+            background: #f5f5f5;
+            outline: none;
+        }
+
+        .menu .danger {
+            color: #ed4956;
+        }
+
+        .edit-form {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        .edit-form textarea,
+        .edit-form input {
+            padding: 8px 12px;
+            border: 1px solid #dbdbdb;
+            border-radius: 8px;
+            background: transparent;
+            color: inherit;
+            font: inherit;
+            font-size: 14px;
+        }
+
+        .edit-form textarea {
+            min-height: 60px;
+            resize: vertical;
+        }
+
+        .edit-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+        }
+
+        .edit-actions button {
+            padding: 6px 14px;
+            border: 1px solid #dbdbdb;
+            border-radius: 8px;
+            background: transparent;
+            color: inherit;
+            cursor: pointer;
+            font-size: 14px;
+        }
+
+        .edit-actions button[type="submit"] {
+            background: #ff6b35;
+            border-color: #ff6b35;
+            color: white;
+        }
+
+        mark {
+            background: #ffe1d4;
+            color: inherit;
+            border-radius: 2px;
+            padding: 0 1px;
+        }
+
         .photo-date {
             color: #8e8e8e;
             font-size: 12px;
@@ -198,6 +545,7 @@ export class FoxPhotoCard extends LitElement {
         }
 
         :host([data-theme="dark"]) .author-name,
+        :host([data-theme="dark"]) .comment,
         :host([data-theme="dark"]) .engagement,
         :host([data-theme="dark"]) .photo-title {
             color: #ffffff;
@@ -208,10 +556,46 @@ export class FoxPhotoCard extends LitElement {
             color: #a0a0a0;
         }
 
+        :host([data-theme="dark"]) .comments,
+        :host([data-theme="dark"]) .comment-list .comment-list {
+            border-color: #262626;
+        }
+
+        :host([data-theme="dark"]) .comment-composer input,
+        :host([data-theme="dark"]) .edit-form textarea,
+        :host([data-theme="dark"]) .edit-form input,
+        :host([data-theme="dark"]) .edit-actions button:not([type="submit"]) {
+            border-color: #404040;
+        }
+
+        :host([data-theme="dark"]) .menu {
+            background: #262626;
+            border-color: #404040;
+        }
+
+        :host([data-theme="dark"]) .menu button {
+            color: #ffffff;
+        }
+
+        :host([data-theme="dark"]) .menu button:hover,
+        :host([data-theme="dark"]) .menu button:focus-visible,
+        :host([data-theme="dark"]) .menu-button:hover {
+            background: #404040;
+        }
+
         :host([data-theme="dark"]) .action-button:hover {
             background-color: #404040;
         }
 
+        :host([data-theme="dark"]) .reaction-picker {
+            background: #262626;
+            border-color: #404040;
+        }
+
+        :host([data-theme="dark"]) .reaction-option.selected {
+            background: #404040;
+        }
+
         :host([data-theme="dark"]) .photo-placeholder {
             background: linear-gradient(45deg, #404040 25%, transparent 25%, transparent 75%, #404040 75%, #404040),
                         linear-gradient(45deg, #404040 25%, transparent 25%, transparent 75%, #404040 75%, #404040);
@@ -223,15 +607,9 @@ export class FoxPhotoCard extends LitElement {
         /* Mobile responsiveness */
         @media (max-width: 768px) {
             :host {
-                min-height: 70vh;
                 margin-bottom: 15px;
             }
 
-            .photo-container {
-                height: 50vh;
-                min-height: 300px;
-            }
-
             .card-header {
                 padding: 12px;
             }
@@ -256,17 +634,6 @@ export class FoxPhotoCard extends LitElement {
                 font-size: 11px;
             }
         }
-
-        @media (max-width: 480px) {
-            :host {
-                min-height: 65vh;
-            }
-
-            .photo-container {
-                height: 45vh;
-                min-height: 250px;
-            }
-        }
     `;
 
     /**
@@ -277,13 +644,92 @@ export class FoxPhotoCard extends LitElement {
          * Photo object containing all metadata for display
          * @type {Object}
          */
-        photo: { type: Object }
+        photo: { type: Object },
+
+        /**
+         * Per-post state owned by the gallery so it survives the card being unmounted
+         * @type {Object}
+         */
+        cardState: { type: Object, attribute: false },
+
+        /**
+         * Display name of the current user, used to offer delete on their own comments
+         * @type {String}
+         */
+        currentUser: { type: String, attribute: 'current-user' },
+
+        /**
+         * Search terms to highlight in the title, author name and channel
+         * @type {Array}
+         */
+        highlight: { type: Array, attribute: false },
+
+        /**
+         * Draws attention to the card, e.g. when a shared link points at it
+         * @type {Boolean}
+         */
+        highlighted: { type: Boolean, reflect: true },
+
+        /**
+         * Latest live count change from other users, { at, likes, dislikes }
+         * A new value briefly animates the counts that changed.
+         * @type {Object}
+         */
+        countPulse: { type: Object, attribute: false },
+
+        /**
+         * Whether the current user wrote this post and may edit or delete it
+         * @type {Boolean}
+         */
+        editable: { type: Boolean },
+
+        /**
+         * Reactions offered in the picker, see Reactions.js; the first is used on a plain click
+         * @type {Array}
+         */
+        reactions: { type: Array, attribute: false },
+
+        replyTo: { state: true },
+        commentDraft: { state: true },
+        menuOpen: { state: true },
+        pickerOpen: { state: true },
+        photoWidth: { state: true },
+        titleDraft: { state: true },
+        channelDraft: { state: true }
     };
 
     constructor() {
         super();
         this.photo = {};
-        this.imageLoaded = false;
+        this.cardState = { imageLoaded: false };
+        this.currentUser = 'you';
+        this.highlight = [];
+        this.highlighted = false;
+        this.countPulse = null;
+        this.editable = false;
+        this.reactions = REACTIONS;
+        this.pickerOpen = false;
+        this.photoWidth = 0;
+        this.replyTo = null;
+        this.commentDraft = '';
+        this.menuOpen = false;
+        this.titleDraft = '';
+        this.channelDraft = '';
+    }
+
+    get imageLoaded() {
+        return this.cardState.imageLoaded === true;
+    }
+
+    set imageLoaded(value) {
+        this.cardState.imageLoaded = value;
+    }
+
+    /**
+     * Whether the full photo is 'loading', 'loaded' or failed with 'error'
+     */
+    get imageStatus() {
+        return this.cardState.imageStatus || 'loading';
     }
 
     connectedCallback() {
@@ -294,6 +740,18 @@ export class FoxPhotoCard extends LitElement {
         
         // Set up intersection observer for lazy loading
         this.setupIntersectionObserver();
+        this.setupViewObserver();
+        this.setupResizeObserver();
+
+        // A card moved within the grid reconnects without updating, so the new observers
+        // go on the already rendered photo here instead of waiting for updated()
+        if (this.hasUpdated) {
+            if (this.photo?.source && !this.imageLoaded) {
+                this.observeImageLoading();
+            }
+            this.observeViews(false);
+            this.observePhotoSize();
+        }
     }
 
 
@@ -306,6 +764,12 @@ export class FoxPhotoCard extends LitElement {
         if (this.intersectionObserver) {
             this.intersectionObserver.disconnect();
         }
+        this.cancelDwell();
+        this.clearPickerTimer();
+        this.viewObserver?.disconnect();
+        this.viewTarget = null;
+        this.resizeObserver?.disconnect();
+        this.resizeTarget = null;
     }
 
     updateTheme() {
@@ -313,16 +777,107 @@ export class FoxPhotoCard extends LitElement {
         this.setAttribute('data-theme', theme);
     }
 
-    handleLike() {
-        // Just notify parent - let domain service handle the increment
-        this.dispatchEvent(new CustomEvent('like', {
+    handleReact(reaction) {
+        // Just notify parent - let domain service apply the reaction
+        this.pickerOpen = false;
+        this.dispatchEvent(new CustomEvent('react', {
             bubbles: true,
-            detail: { photoId: this.photo.id }
+            detail: { photoId: this.photo.id, reaction }
         }));
     }
 
+    /**
+     * The user's reaction from the picker set, or undefined (dislikes have their own button)
+     */
+    getUserReaction() {
+        return this.reactions.find(reaction => reaction.type === this.photo.userReaction);
+    }
+
+    /**
+     * A plain click takes back the user's reaction, or reacts with the first one
+     */
+    handleReactionClick() {
+        if (this.longPressed) {
+            // The press opened the picker; the click that ends it isn't a reaction
+            this.longPressed = false;
+            return;
+        }
+        this.handleReact((this.getUserReaction() || this.reactions[0]).type);
+    }
+
+    clearPickerTimer() {
+        clearTimeout(this.pickerTimer);
+        this.pickerTimer = null;
+    }
+
+    openPicker({ focus = false } = {}) {
+        this.clearPickerTimer();
+        this.pickerOpen = true;
+        if (focus) {
+            this.updateComplete.then(() => this.shadowRoot.querySelector('.reaction-option')?.focus());
+        }
+    }
+
+    handleReactionPointerEnter(event) {
+        if (event.pointerType !== 'mouse') return;
+        this.clearPickerTimer();
+        if (!this.pickerOpen) {
+            this.pickerTimer = setTimeout(() => this.openPicker(), PICKER_HOVER_DELAY);
+        }
+    }
+
+    handleReactionPointerLeave(event) {
+        if (event.pointerType !== 'mouse') return;
+        this.clearPickerTimer();
+        if (this.pickerOpen) {
+            this.pickerTimer = setTimeout(() => { this.pickerOpen = false; }, PICKER_CLOSE_DELAY);
+        }
+    }
+
+    handleReactionPointerDown(event) {
+        if (event.pointerType === 'mouse') return;
+        this.longPressed = false;
+        this.clearPickerTimer();
+        this.pickerTimer = setTimeout(() => {
+            this.longPressed = true;
+            this.openPicker({ focus: true });
+        }, LONG_PRESS);
+    }
+
+    handleReactionPointerUp(event) {
+        if (event.pointerType !== 'mouse') {
+            this.clearPickerTimer();
+        }
+    }
+
+    handleReactionContextMenu(event) {
+        // Holding a button on touch screens would otherwise bring up the context menu too
+        if (this.longPressed || this.pickerTimer) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * ArrowUp opens the picker from the keyboard; Escape closes it, like the post menu
+     */
+    handleReactionKeydown(event) {
+        if (event.key === 'ArrowUp' && !this.pickerOpen) {
+            event.preventDefault();
+            this.openPicker({ focus: true });
+        } else if (event.key === 'Escape' && this.pickerOpen) {
+            this.pickerOpen = false;
+            this.shadowRoot.querySelector('.like-button')?.focus();
+        }
+    }
+
+    handleReactionFocusOut(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            this.pickerOpen = false;
+        }
+    }
+
     handleDislike() {
-        // Just notify parent - let domain service handle the increment  
+        // Just notify parent - let domain service apply the vote
         this.dispatchEvent(new CustomEvent('dislike', {
             bubbles: true,
             detail: { photoId: this.photo.id }
@@ -336,24 +891,194 @@ export class FoxPhotoCard extends LitElement {
         }));
     }
 
-    handleImageError(event) {
-        console.error('Image failed to load:', event.target.src);
-        const img = event.target;
-        img.style.display = 'none';
-        const placeholder = img.nextElementSibling;
-        if (placeholder) {
-            placeholder.style.display = 'flex';
-            placeholder.textContent = 'Failed to load image';
+    handleOpen() {
+        this.dispatchEvent(new CustomEvent('photo-open', {
+            bubbles: true,
+            detail: { photoId: this.photo.id }
+        }));
+    }
+
+    handleAuthorOpen() {
+        this.dispatchEvent(new CustomEvent('author-open', {
+            bubbles: true,
+            detail: { authorName: this.photo.author?.name }
+        }));
+    }
+
+    handleChannelOpen() {
+        this.dispatchEvent(new CustomEvent('channel-open', {
+            bubbles: true,
+            detail: { channel: this.photo.author?.channel }
+        }));
+    }
+
+    handlePhotoKeydown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleOpen();
+        }
+    }
+
+    toggleMenu() {
+        this.menuOpen = !this.menuOpen;
+        if (this.menuOpen) {
+            this.updateComplete.then(() => this.shadowRoot.querySelector('.menu button')?.focus());
+        }
+    }
+
+    /**
+     * Close the menu once focus leaves it, or on Escape
+     */
+    handleMenuFocusOut(event) {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            this.menuOpen = false;
+        }
+    }
+
+    handleMenuKeydown(event) {
+        if (event.key === 'Escape' && this.menuOpen) {
+            this.menuOpen = false;
+            this.shadowRoot.querySelector('.menu-button')?.focus();
+        }
+    }
+
+    startEditing() {
+        this.menuOpen = false;
+        this.titleDraft = this.photo.title || '';
+        this.channelDraft = this.photo.author?.channel || '';
+        this.cardState.editing = true;
+        this.requestUpdate();
+        this.updateComplete.then(() => this.shadowRoot.querySelector('.edit-form textarea')?.focus());
+    }
+
+    cancelEditing() {
+        this.cardState.editing = false;
+        this.requestUpdate();
+    }
+
+    handleEditSubmit(event) {
+        event.preventDefault();
+        const title = this.titleDraft.trim();
+        if (!title) return;
+
+        this.dispatchEvent(new CustomEvent('post-edit', {
+            bubbles: true,
+            detail: { photoId: this.photo.id, title, channel: this.channelDraft.trim() }
+        }));
+        this.cancelEditing();
+    }
+
+    handleDelete() {
+        this.menuOpen = false;
+        this.dispatchEvent(new CustomEvent('post-delete', {
+            bubbles: true,
+            detail: { photoId: this.photo.id }
+        }));
+    }
+
+    renderMenu() {
+        if (!this.editable) {
+            return '';
         }
+
+        return html`
+            <div class="post-menu" @focusout=${this.handleMenuFocusOut} @keydown=${this.handleMenuKeydown}>
+                <button
+                    class="menu-button"
+                    @click=${this.toggleMenu}
+                    aria-haspopup="menu"
+                    aria-expanded="${this.menuOpen ? 'true' : 'false'}"
+                    aria-label="Post options"
+                    title="Post options"
+                >⋯</button>
+                ${this.menuOpen ? html`
+                    <div class="menu" role="menu">
+                        <button role="menuitem" @click=${this.startEditing}>✏️ Edit post</button>
+                        <button role="menuitem" class="danger" @click=${this.handleDelete}>🗑️ Delete post</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderEditForm() {
+        return html`
+            <form class="edit-form" @submit=${this.handleEditSubmit}>
+                <textarea
+                    aria-label="Caption"
+                    maxlength="2200"
+                    .value=${this.titleDraft}
+                    @input=${event => { this.titleDraft = event.target.value; }}
+                    @keydown=${event => { if (event.key === 'Escape') this.cancelEditing(); }}
+                    required
+                ></textarea>
+                <input
+                    aria-label="Channel"
+                    placeholder="Channel"
+                    .value=${this.channelDraft}
+                    @input=${event => { this.channelDraft = event.target.value; }}
+                />
+                <div class="edit-actions">
+                    <button type="button" @click=${this.cancelEditing}>Cancel</button>
+                    <button type="submit">Save</button>
+                </div>
+            </form>
+        `;
+    }
+
+    toggleComments() {
+        this.cardState.commentsOpen = !this.cardState.commentsOpen;
+        this.requestUpdate();
+    }
+
+    startReply(comment) {
+        this.replyTo = comment;
+        this.updateComplete.then(() => {
+            this.shadowRoot.querySelector('.comment-composer input')?.focus();
+        });
+    }
+
+    cancelReply() {
+        this.replyTo = null;
+    }
+
+    handleCommentSubmit(event) {
+        event.preventDefault();
+        const text = this.commentDraft.trim();
+        if (!text) return;
+
+        this.dispatchEvent(new CustomEvent('comment', {
+            bubbles: true,
+            detail: {
+                photoId: this.photo.id,
+                text,
+                parentId: this.replyTo ? this.replyTo.id : null
+            }
+        }));
+
+        this.commentDraft = '';
+        this.replyTo = null;
+    }
+
+    handleCommentRemove(comment) {
+        this.dispatchEvent(new CustomEvent('comment-remove', {
+            bubbles: true,
+            detail: { photoId: this.photo.id, commentId: comment.id }
+        }));
+    }
+
+    handleImageError(event) {
+        console.error('Image failed to load:', event.target.currentSrc || event.target.src);
+        this.cardState.imageStatus = 'error';
+        this.requestUpdate();
     }
 
     handleImageLoad(event) {
-        console.log('Image loaded successfully:', event.target.src);
         const img = event.target;
-        const placeholder = this.shadowRoot.querySelector('.photo-placeholder');
-        if (placeholder) {
-            placeholder.style.display = 'none';
-        }
+        console.log('Image loaded successfully:', img.currentSrc || img.src);
+        this.cardState.imageStatus = 'loaded';
+        // Photos whose URL doesn't give their size take their shape from the image itself
+        this.cardState.naturalSize = { width: img.naturalWidth, height: img.naturalHeight };
         this.requestUpdate();
     }
 
@@ -361,9 +1086,36 @@ export class FoxPhotoCard extends LitElement {
         super.updated(changedProperties);
         
         // Start observing when photo data is available
-        if (changedProperties.has('photo') && this.photo && this.photo.source && !this.imageLoaded) {
+        if ((changedProperties.has('photo') || changedProperties.has('cardState')) &&
+            this.photo && this.photo.source && !this.imageLoaded) {
             this.observeImageLoading();
         }
+
+        if (changedProperties.has('countPulse')) {
+            this.playCountPulse();
+        }
+
+        this.observeViews(changedProperties.has('photo') && changedProperties.get('photo')?.id !== this.photo?.id);
+        this.observePhotoSize();
+    }
+
+    /**
+     * Bump the changed counts; stale pulses (e.g. a card scrolled back into view) are skipped
+     */
+    playCountPulse() {
+        const pulse = this.countPulse;
+        if (!pulse || Date.now() - pulse.at > 1000) return;
+
+        [['likes', '.like-count'], ['dislikes', '.dislike-count']].forEach(([field, selector]) => {
+            const count = pulse[field] && this.shadowRoot.querySelector(selector);
+            if (!count) return;
+
+            // Restart the animation if the previous bump is still running
+            count.classList.remove('bumped');
+            void count.offsetWidth;
+            count.classList.add('bumped');
+            count.addEventListener('animationend', () => count.classList.remove('bumped'), { once: true });
+        });
     }
 
     setupIntersectionObserver() {
@@ -385,6 +1137,89 @@ export class FoxPhotoCard extends LitElement {
         );
     }
 
+    /**
+     * Track the photo's rendered width so `sizes` asks for the right srcset candidate
+     */
+    setupResizeObserver() {
+        this.resizeObserver = new ResizeObserver(entries => {
+            const width = Math.round(entries[entries.length - 1].contentRect.width);
+            if (width > 0 && width !== this.photoWidth) {
+                this.photoWidth = width;
+            }
+        });
+    }
+
+    observePhotoSize() {
+        const target = this.shadowRoot?.querySelector('.photo-container');
+        if (!this.resizeObserver || !target || target === this.resizeTarget) {
+            return;
+        }
+
+        if (this.resizeTarget) {
+            this.resizeObserver.unobserve(this.resizeTarget);
+        }
+        this.resizeTarget = target;
+        this.resizeObserver.observe(target);
+    }
+
+    /**
+     * Watch how much of the photo is on screen, for dwell-based view counting
+     */
+    setupViewObserver() {
+        this.viewObserver = new IntersectionObserver(
+            (entries) => {
+                entries.forEach(entry => {
+                    if (entry.intersectionRatio >= VIEW_THRESHOLD) {
+                        this.startDwell();
+                    } else {
+                        this.cancelDwell();
+                    }
+                });
+            },
+            { threshold: VIEW_THRESHOLD }
+        );
+    }
+
+    /**
+     * Observe the current photo container; a card reused for another post starts over
+     */
+    observeViews(photoChanged) {
+        const target = this.shadowRoot?.querySelector('.photo-container');
+        if (!this.viewObserver || !target || (target === this.viewTarget && !photoChanged)) {
+            return;
+        }
+
+        this.cancelDwell();
+        if (this.viewTarget) {
+            this.viewObserver.unobserve(this.viewTarget);
+        }
+        // Observing again reports the current visibility straight away
+        this.viewTarget = target;
+        this.viewObserver.observe(target);
+    }
+
+    startDwell() {
+        if (this.dwellTimer || this.viewCounted) return;
+
+        this.dwellTimer = setTimeout(() => {
+            this.dwellTimer = null;
+            if (document.visibilityState === 'hidden' || !this.photo) return;
+
+            // One view per stretch on screen; it has to leave before it counts again
+            this.viewCounted = true;
+            this.dispatchEvent(new CustomEvent('post-view', {
+                bubbles: true,
+                detail: { photoId: this.photo.id }
+            }));
+        }, VIEW_DWELL);
+    }
+
+    cancelDwell() {
+        clearTimeout(this.dwellTimer);
+        this.dwellTimer = null;
+        this.viewCounted = false;
+    }
+
     observeImageLoading() {
         if (this.intersectionObserver && this.shadowRoot) {
             // Observe the photo container for visibility
@@ -400,58 +1235,108 @@ export class FoxPhotoCard extends LitElement {
             return html`<div>Loading photo...</div>`;
         }
 
-        const totalEngagement = (this.photo.likes || 0) + (this.photo.dislikes || 0);
+        const totalEngagement = Object.values(this.photo.reactions || {}).reduce((sum, count) => sum + count, 0);
+        const reactionCount = totalEngagement - (this.photo.dislikes || 0);
+        const userReaction = this.getUserReaction();
+        const views = this.photo.views || 0;
+        const uniqueViews = this.photo.uniqueViews || 0;
+        // A separate thumbnail makes a cheap blurred stand-in while the full photo loads
+        const preview = this.photo.thumbnail !== this.photo.source ? this.photo.thumbnail : null;
 
         return html`
             <div class="card-header">
-                <img 
-                    class="author-avatar" 
-                    src="${this.photo.author?.image || 'https://via.placeholder.com/40x40/ddd/999?text=?'}" 
-                    alt="${this.photo.author?.name || 'Author'}"
-                    @error=${(e) => e.target.src = 'https://via.placeholder.com/40x40/ddd/999?text=?'}
-                />
+                <button class="author-link" @click=${this.handleAuthorOpen} tabindex="-1" aria-hidden="true">
+                    <img 
+                        class="author-avatar" 
+                        src="${this.photo.author?.image || 'https://via.placeholder.com/40x40/ddd/999?text=?'}" 
+                        alt="${this.photo.author?.name || 'Author'}"
+                        @error=${(e) => e.target.src = 'https://via.placeholder.com/40x40/ddd/999?text=?'}
+                    />
+                </button>
                 <div class="author-info">
-                    <p class="author-name">${this.photo.author?.name || 'Unknown Author'}</p>
+                    <p class="author-name">
+                        <button
+                            class="author-link"
+                            @click=${this.handleAuthorOpen}
+                            title="View ${this.photo.author?.name || 'the author'}'s profile"
+                        >${this.renderHighlighted(this.photo.author?.name || 'Unknown Author')}</button>
+                    </p>
                     <p class="author-details">
-                        ${this.photo.author?.channel || 'Photo Channel'} • 
+                        ${this.photo.author?.channel ? html`
+                            <button class="author-link" @click=${this.handleChannelOpen}>${this.renderHighlighted(this.photo.author.channel)}</button>
+                        ` : 'Photo Channel'} • 
                         User since ${this.photo.author?.userSince || 'Unknown'}
                     </p>
                 </div>
+                ${this.renderMenu()}
             </div>
 
-            <div class="photo-container">
+            <div
+                class="photo-container"
+                style="aspect-ratio: ${getAspectRatio(this.photo, this.cardState.naturalSize) || DEFAULT_ASPECT_RATIO}"
+            >
+                ${preview && this.imageStatus !== 'loaded' ? html`
+                    <img class="photo-preview" src="${preview}" alt="" aria-hidden="true" loading="lazy" />
+                ` : ''}
                 ${this.imageLoaded ? html`
                     <img 
-                        class="photo" 
+                        class="photo ${this.imageStatus === 'loaded' ? 'loaded' : ''}" 
                         src="${this.photo.source || ''}"
+                        srcset=${ifDefined(getSrcset(this.photo.source) || undefined)}
+                        sizes="${this.photoWidth ? `${this.photoWidth}px` : DEFAULT_SIZES}"
                         alt="${this.photo.title}"
+                        role="button"
+                        tabindex="0"
+                        title="View fullscreen"
+                        @click=${this.handleOpen}
+                        @keydown=${this.handlePhotoKeydown}
                         @error=${this.handleImageError}
                         @load=${this.handleImageLoad}
                     />
-                ` : html`
+                ` : ''}
+                ${this.imageStatus === 'error' ? html`
+                    <div class="photo-placeholder">Failed to load image</div>
+                ` : !preview && this.imageStatus !== 'loaded' ? html`
                     <div class="photo-placeholder">
                         <div class="loading-spinner"></div>
                         <p>Loading image...</p>
                     </div>
-                `}
+                ` : ''}
             </div>
 
             <div class="card-actions">
                 <div class="action-buttons">
-                    <button 
-                        class="action-button like-button ${this.photo.likes > 0 ? 'liked' : ''}"
-                        @click=${this.handleLike}
-                        title="Like this photo"
+                    <div
+                        class="reaction-control"
+                        @pointerenter=${this.handleReactionPointerEnter}
+                        @pointerleave=${this.handleReactionPointerLeave}
+                        @keydown=${this.handleReactionKeydown}
+                        @focusout=${this.handleReactionFocusOut}
                     >
-                        ❤️ <span>${this.photo.likes || 0}</span>
-                    </button>
+                        <button 
+                            class="action-button like-button ${userReaction ? 'liked' : ''}"
+                            @click=${this.handleReactionClick}
+                            @pointerdown=${this.handleReactionPointerDown}
+                            @pointerup=${this.handleReactionPointerUp}
+                            @pointercancel=${this.handleReactionPointerUp}
+                            @contextmenu=${this.handleReactionContextMenu}
+                            aria-pressed="${userReaction ? 'true' : 'false'}"
+                            aria-haspopup="true"
+                            aria-expanded="${this.pickerOpen ? 'true' : 'false'}"
+                            title="${userReaction ? `Remove your ${userReaction.label} reaction` : `${this.reactions[0].label} this photo (hold or press ↑ for more)`}"
+                        >
+                            ${(userReaction || this.reactions[0]).emoji} <span class="count like-count">${reactionCount}</span>
+                        </button>
+                        ${this.pickerOpen ? this.renderReactionPicker() : ''}
+                    </div>
                     
                     <button 
-                        class="action-button dislike-button ${this.photo.dislikes > 0 ? 'disliked' : ''}"
+                        class="action-button dislike-button ${this.photo.userHasDisliked ? 'disliked' : ''}"
                         @click=${this.handleDislike}
-                        title="Dislike this photo"
+                        aria-pressed="${this.photo.userHasDisliked ? 'true' : 'false'}"
+                        title="${this.photo.userHasDisliked ? 'Remove your dislike' : 'Dislike this photo'}"
                     >
-                        👎 <span>${this.photo.dislikes || 0}</span>
+                        👎 <span class="count dislike-count">${this.photo.dislikes || 0}</span>
                     </button>
                     
                     <button 
@@ -461,19 +1346,132 @@ export class FoxPhotoCard extends LitElement {
                     >
                         📤 Share
                     </button>
+
+                    <button 
+                        class="action-button comments-button"
+                        @click=${this.toggleComments}
+                        aria-expanded="${this.cardState.commentsOpen ? 'true' : 'false'}"
+                        title="${this.cardState.commentsOpen ? 'Hide comments' : 'Show comments'}"
+                    >
+                        💬 <span>${(this.photo.comments || []).length}</span>
+                    </button>
                 </div>
 
-                ${totalEngagement > 0 ? html`
+                ${totalEngagement > 0 || views > 0 ? html`
                     <div class="engagement">
+                        ${this.renderReactionSummary()}
                         ${totalEngagement} ${totalEngagement === 1 ? 'interaction' : 'interactions'}
+                        ${views > 0 ? html` • ${views} ${views === 1 ? 'view' : 'views'} (${uniqueViews} unique)` : ''}
                     </div>
                 ` : ''}
 
-                <p class="photo-title">${this.photo.title}</p>
+                ${this.editable && this.cardState.editing ? this.renderEditForm() : html`
+                    <p class="photo-title">${this.renderHighlighted(this.photo.title)}</p>
+                `}
                 <p class="photo-date">${this.photo.date}</p>
+
+                ${this.cardState.commentsOpen ? this.renderComments() : ''}
+            </div>
+        `;
+    }
+
+    renderReactionPicker() {
+        return html`
+            <div class="reaction-picker" role="toolbar" aria-label="Reactions">
+                ${this.reactions.map(reaction => html`
+                    <button
+                        class="reaction-option ${reaction.type === this.photo.userReaction ? 'selected' : ''}"
+                        @click=${() => this.handleReact(reaction.type)}
+                        aria-pressed="${reaction.type === this.photo.userReaction ? 'true' : 'false'}"
+                        aria-label="${reaction.label}"
+                        title="${reaction.label}"
+                    >${reaction.emoji}</button>
+                `)}
             </div>
         `;
     }
+
+    /**
+     * Count per reaction, most used first, e.g. "❤️ 3 😂 1"; dislikes show on their own button
+     */
+    renderReactionSummary() {
+        const used = Object.entries(this.photo.reactions || {})
+            .filter(([type, count]) => type !== 'dislike' && count > 0)
+            .sort(([, a], [, b]) => b - a);
+        if (used.length === 0) {
+            return '';
+        }
+
+        return html`
+            <span class="reaction-summary">
+                ${used.map(([type, count]) => html`
+                    <span title="${getReaction(type)?.label || type}">${getReaction(type)?.emoji || type} ${count}</span>
+                `)}
+            </span> •
+        `;
+    }
+
+    renderHighlighted(text) {
+        return highlightSegments(text, this.highlight).map(segment =>
+            segment.match ? html`<mark>${segment.text}</mark>` : segment.text
+        );
+    }
+
+    renderComments() {
+        const thread = Comment.buildThread(this.photo.comments || []);
+
+        return html`
+            <section class="comments" aria-label="Comments">
+                ${thread.length > 0
+                    ? this.renderCommentList(thread)
+                    : html`<p class="no-comments">No comments yet. Start the conversation!</p>`}
+
+                ${this.replyTo ? html`
+                    <div class="replying-to">
+                        Replying to ${this.replyTo.author?.name || 'comment'}
+                        <button @click=${this.cancelReply}>Cancel</button>
+                    </div>
+                ` : ''}
+
+                <form class="comment-composer" @submit=${this.handleCommentSubmit}>
+                    <input
+                        type="text"
+                        maxlength="500"
+                        placeholder="${this.replyTo ? 'Write a reply...' : 'Add a comment...'}"
+                        aria-label="${this.replyTo ? 'Write a reply' : 'Add a comment'}"
+                        .value=${this.commentDraft}
+                        @input=${(e) => this.commentDraft = e.target.value}
+                    />
+                    <button type="submit" ?disabled=${!this.commentDraft.trim()}>Post</button>
+                </form>
+            </section>
+        `;
+    }
+
+    renderCommentList(nodes) {
+        return html`
+            <ul class="comment-list">
+                ${nodes.map(({ comment, replies }) => html`
+                    <li>
+                        <div class="comment">
+                            <span class="comment-author">${comment.author?.name || 'Unknown Author'}</span>
+                            ${comment.text}
+                            <div class="comment-meta">
+                                <time datetime="${comment.timestamp}">
+                                    ${new Date(comment.timestamp).toLocaleDateString()}
+                                </time>
+                                <button @click=${() => this.startReply(comment)}>Reply</button>
+                                ${comment.author?.name === this.currentUser ? html`
+                                    <button @click=${() => this.handleCommentRemove(comment)}>Delete</button>
+                                ` : ''}
+                            </div>
+                        </div>
+                        ${replies.length > 0 ? this.renderCommentList(replies) : ''}
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
 }
 
 customElements.define('fox-photo-card', FoxPhotoCard);
\ No newline at end of file
@@ -0,0 +1,476 @@
+import { LitElement, html, css } from 'lit';
+import { SocialPost } from './SocialPost.js';
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_CAPTION_LENGTH = 2200;
+
+// Longest side in pixels. Composed photos live in browser storage (about 5 MB with
+// localStorage), so they are kept smaller than the feed's own images.
+const SOURCE_SIZE = 640;
+const THUMBNAIL_SIZE = 300;
+const JPEG_QUALITY = 0.7;
+
+// Most data URL characters a photo and its thumbnail may take up together
+const MAX_ENCODED_LENGTH = 300 * 1024;
+
+/**
+ * Load an image element, optionally asking for CORS so it can be drawn to a canvas
+ */
+function loadImage(url, crossOrigin = false) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        if (crossOrigin) {
+            image.crossOrigin = 'anonymous';
+        }
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('The image could not be loaded'));
+        image.src = url;
+    });
+}
+
+/**
+ * Draw an image scaled down to fit maxSize and return it as a JPEG data URL
+ * Throws a SecurityError for cross-origin images served without CORS.
+ */
+function downscale(image, maxSize, quality) {
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
+function generatePostId() {
+    return `post-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * `fox-post-composer`
+ * Form for creating a post from an image file, a dropped image or an image URL
+ *
+ * Images are downscaled in the browser and a thumbnail is generated from them, so
+ * posts kept in local storage stay small. URL images that can't be read because
+ * of CORS are used as they are.
+ *
+ * @demo demo/index.html
+ * @element fox-post-composer
+ * @class FoxPostComposer
+ * @extends LitElement
+ * @customElement
+ * @fires post-create - Fired with a valid SocialPost when the form is submitted
+ */
+export class FoxPostComposer extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+            font-size: 14px;
+            color: var(--text-color, #262626);
+        }
+
+        form {
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        }
+
+        .drop-zone {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+            min-height: 160px;
+            padding: 16px;
+            border: 2px dashed #dbdbdb;
+            border-radius: 12px;
+            text-align: center;
+            color: #8e8e8e;
+            transition: border-color 0.2s ease, background 0.2s ease;
+        }
+
+        .drop-zone.dragging {
+            border-color: #ff6b35;
+            background: #fff3ee;
+        }
+
+        .drop-zone img {
+            max-width: 100%;
+            max-height: 240px;
+            border-radius: 8px;
+        }
+
+        .file-label {
+            color: #ff6b35;
+            cursor: pointer;
+            font-weight: 600;
+        }
+
+        .file-label input {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            opacity: 0;
+        }
+
+        .file-label:focus-within {
+            outline: 2px solid #ff6b35;
+            outline-offset: 2px;
+        }
+
+        .url-row {
+            display: flex;
+            gap: 8px;
+        }
+
+        .url-row input {
+            flex: 1;
+        }
+
+        input,
+        textarea,
+        button {
+            padding: 8px 12px;
+            border: 1px solid #dbdbdb;
+            border-radius: 8px;
+            background: var(--bg-color, #ffffff);
+            color: inherit;
+            font: inherit;
+        }
+
+        textarea {
+            min-height: 72px;
+            resize: vertical;
+        }
+
+        input:focus,
+        textarea:focus {
+            outline: none;
+            border-color: #ff6b35;
+        }
+
+        button {
+            cursor: pointer;
+        }
+
+        button[type="submit"] {
+            align-self: flex-end;
+            padding: 8px 20px;
+            background: #ff6b35;
+            border-color: #ff6b35;
+            color: white;
+            font-weight: 600;
+        }
+
+        button:disabled {
+            opacity: 0.6;
+            cursor: default;
+        }
+
+        .caption-count {
+            align-self: flex-end;
+            margin-top: -8px;
+            color: #8e8e8e;
+            font-size: 12px;
+        }
+
+        .error {
+            color: #ed4956;
+        }
+
+        :host([data-theme="dark"]) .drop-zone {
+            border-color: #333;
+        }
+
+        :host([data-theme="dark"]) .drop-zone.dragging {
+            background: #2b1a12;
+        }
+
+        :host([data-theme="dark"]) input,
+        :host([data-theme="dark"]) textarea,
+        :host([data-theme="dark"]) button:not([type="submit"]) {
+            background: #1e1e1e;
+            border-color: #333;
+        }
+    `;
+
+    static properties = {
+        /**
+         * The current user, { name, image }, credited as the post's author
+         * @type {Object}
+         */
+        author: { type: Object, attribute: false },
+
+        /**
+         * Channel names offered as suggestions
+         * @type {Array}
+         */
+        channels: { type: Array, attribute: false },
+
+        /**
+         * Set by the host while the post is being saved
+         * @type {Boolean}
+         */
+        busy: { type: Boolean },
+
+        /**
+         * Problem to show under the form; the host sets it when saving fails
+         * @type {String}
+         */
+        error: { type: String },
+
+        imageSource: { state: true },
+        thumbnail: { state: true },
+        imageUrl: { state: true },
+        caption: { state: true },
+        channel: { state: true },
+        dragging: { state: true },
+        processing: { state: true }
+    };
+
+    constructor() {
+        super();
+        this.author = { name: 'you', image: null };
+        this.channels = [];
+        this.busy = false;
+        this.reset();
+    }
+
+    /**
+     * Clear the form, e.g. once the host has saved the post
+     */
+    reset() {
+        this.imageSource = null;
+        this.thumbnail = null;
+        this.imageUrl = '';
+        this.caption = '';
+        this.channel = '';
+        this.error = '';
+        this.dragging = false;
+        this.processing = false;
+
+        const fileInput = this.shadowRoot?.querySelector('input[type="file"]');
+        if (fileInput) {
+            fileInput.value = '';
+        }
+    }
+
+    handleFileChange(event) {
+        const [file] = event.target.files;
+        if (file) {
+            this.loadFile(file);
+        }
+    }
+
+    handleDragOver(event) {
+        event.preventDefault();
+        this.dragging = true;
+    }
+
+    handleDrop(event) {
+        event.preventDefault();
+        this.dragging = false;
+
+        const [file] = event.dataTransfer.files;
+        if (file) {
+            this.loadFile(file);
+            return;
+        }
+
+        // Images dragged from another page arrive as a link
+        const url = event.dataTransfer.getData('text/uri-list').split('\n')[0].trim();
+        if (url) {
+            this.imageUrl = url;
+            this.loadUrl(url);
+        }
+    }
+
+    handleUrlSubmit() {
+        if (this.imageUrl.trim()) {
+            this.loadUrl(this.imageUrl.trim());
+        }
+    }
+
+    async loadFile(file) {
+        if (!file.type.startsWith('image/')) {
+            this.error = 'Please choose an image file.';
+            return;
+        }
+        if (file.size > MAX_FILE_BYTES) {
+            this.error = 'Images can be at most 10 MB.';
+            return;
+        }
+
+        this.processing = true;
+        this.error = '';
+        const objectUrl = URL.createObjectURL(file);
+
+        try {
+            const image = await loadImage(objectUrl);
+            const imageSource = downscale(image, SOURCE_SIZE, JPEG_QUALITY);
+            const thumbnail = downscale(image, THUMBNAIL_SIZE, JPEG_QUALITY);
+            if (imageSource.length + thumbnail.length > MAX_ENCODED_LENGTH) {
+                this.error = 'That image is too detailed to store, even scaled down. Please try another.';
+                return;
+            }
+            this.imageSource = imageSource;
+            this.thumbnail = thumbnail;
+        } catch (error) {
+            console.error('Error reading image file:', error);
+            this.error = 'That image could not be read.';
+        } finally {
+            URL.revokeObjectURL(objectUrl);
+            this.processing = false;
+        }
+    }
+
+    async loadUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            this.error = 'Please enter an http(s) image URL.';
+            return;
+        }
+
+        this.processing = true;
+        this.error = '';
+
+        try {
+            let thumbnail = parsed.href;
+            try {
+                thumbnail = downscale(await loadImage(parsed.href, true), THUMBNAIL_SIZE, JPEG_QUALITY);
+            } catch (error) {
+                // No CORS headers: check the image loads at all and use it full size
+                await loadImage(parsed.href);
+            }
+            this.imageSource = parsed.href;
+            this.thumbnail = thumbnail;
+        } catch (error) {
+            console.error('Error loading image URL:', error);
+            this.error = 'No image could be loaded from that URL.';
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    clearImage() {
+        this.imageSource = null;
+        this.thumbnail = null;
+        this.imageUrl = '';
+    }
+
+    /**
+     * Build the post and hand it to the host to save
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const post = new SocialPost(
+            generatePostId(),
+            this.imageSource,
+            this.thumbnail || this.imageSource,
+            this.caption.trim(),
+            new Date().toISOString().split('T')[0],
+            {
+                name: this.author?.name,
+                image: this.author?.image || null,
+                userSince: String(new Date().getFullYear()),
+                channel: this.channel.trim() || null
+            }
+        );
+
+        if (!post.isValid()) {
+            this.error = this.imageSource ? 'Please write a caption.' : 'Please add an image.';
+            return;
+        }
+
+        this.error = '';
+        this.dispatchEvent(new CustomEvent('post-create', {
+            bubbles: true,
+            detail: { post }
+        }));
+    }
+
+    renderImagePicker() {
+        if (this.imageSource) {
+            return html`
+                <img src=${this.thumbnail || this.imageSource} alt="Preview of the new post" />
+                <button type="button" @click=${this.clearImage}>Choose another image</button>
+            `;
+        }
+
+        return html`
+            <span>${this.processing ? 'Preparing image…' : 'Drop an image here or'}</span>
+            <label class="file-label">
+                choose a file
+                <input type="file" accept="image/*" @change=${this.handleFileChange} ?disabled=${this.processing} />
+            </label>
+        `;
+    }
+
+    render() {
+        return html`
+            <form @submit=${this.handleSubmit}>
+                <div
+                    class="drop-zone ${this.dragging ? 'dragging' : ''}"
+                    @dragover=${this.handleDragOver}
+                    @dragleave=${() => { this.dragging = false; }}
+                    @drop=${this.handleDrop}
+                >
+                    ${this.renderImagePicker()}
+                </div>
+
+                ${this.imageSource ? '' : html`
+                    <div class="url-row">
+                        <input
+                            type="url"
+                            placeholder="…or paste an image URL"
+                            aria-label="Image URL"
+                            .value=${this.imageUrl}
+                            @input=${event => { this.imageUrl = event.target.value; }}
+                            @keydown=${event => {
+                                if (event.key === 'Enter') {
+                                    event.preventDefault();
+                                    this.handleUrlSubmit();
+                                }
+                            }}
+                        />
+                        <button type="button" @click=${this.handleUrlSubmit} ?disabled=${this.processing}>Use URL</button>
+                    </div>
+                `}
+
+                <textarea
+                    placeholder="Write a caption…"
+                    aria-label="Caption"
+                    maxlength=${MAX_CAPTION_LENGTH}
+                    .value=${this.caption}
+                    @input=${event => { this.caption = event.target.value; }}
+                ></textarea>
+                <span class="caption-count">${this.caption.length}/${MAX_CAPTION_LENGTH}</span>
+
+                <input
+                    list="composer-channels"
+                    placeholder="Channel"
+                    aria-label="Channel"
+                    .value=${this.channel}
+                    @input=${event => { this.channel = event.target.value; }}
+                />
+                <datalist id="composer-channels">
+                    ${this.channels.map(channel => html`<option value=${channel}></option>`)}
+                </datalist>
+
+                ${this.error ? html`<div class="error" role="alert">${this.error}</div>` : ''}
+
+                <button type="submit" ?disabled=${this.busy || this.processing}>
+                    ${this.busy ? 'Posting…' : 'Share post'}
+                </button>
+            </form>
+        `;
+    }
+}
+
+customElements.define('fox-post-composer', FoxPostComposer);
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { LitElement, html, css } from 'lit';
+
+/**
+ * `fox-post-grid`
+ * Square thumbnail grid of posts, as shown on profile and channel pages
+ *
+ * @demo demo/index.html
+ * @element fox-post-grid
+ * @class FoxPostGrid
+ * @extends LitElement
+ * @customElement
+ * @fires photo-open - Fired with a post ID when user opens one of the posts
+ */
+export class FoxPostGrid extends LitElement {
+    static styles = css`
+        :host {
+            display: block;
+        }
+
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 4px;
+        }
+
+        .grid-item {
+            position: relative;
+            aspect-ratio: 1;
+            padding: 0;
+            border: none;
+            /* Placeholder that reads as grey on light and dark pages alike */
+            background: rgba(128, 128, 128, 0.15);
+            cursor: pointer;
+            overflow: hidden;
+        }
+
+        .grid-item img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+            display: block;
+        }
+
+        .grid-item .overlay {
+            position: absolute;
+            inset: 0;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 12px;
+            background: rgba(0, 0, 0, 0.4);
+            color: white;
+            font-weight: 600;
+            opacity: 0;
+            transition: opacity 0.2s ease;
+        }
+
+        .grid-item:hover .overlay,
+        .grid-item:focus-visible .overlay {
+            opacity: 1;
+        }
+
+        .empty {
+            text-align: center;
+            color: #8e8e8e;
+            padding: 40px 0;
+        }
+    `;
+
+    static properties = {
+        /**
+         * Posts to show, in order
+         * @type {Array}
+         */
+        posts: { type: Array, attribute: false }
+    };
+
+    constructor() {
+        super();
+        this.posts = [];
+    }
+
+    handleOpen(postId) {
+        // Composed so it reaches the gallery through the page component's shadow root
+        this.dispatchEvent(new CustomEvent('photo-open', {
+            bubbles: true,
+            composed: true,
+            detail: { photoId: postId }
+        }));
+    }
+
+    render() {
+        if (this.posts.length === 0) {
+            return html`<div class="empty">No posts yet.</div>`;
+        }
+
+        return html`
+            <div class="grid">
+                ${this.posts.map(post => html`
+                    <button
+                        class="grid-item"
+                        aria-label="Open “${post.title}”"
+                        @click=${() => this.handleOpen(post.id)}
+                    >
+                        <img src=${post.thumbnail || post.source} alt="" loading="lazy" />
+                        <span class="overlay">
+                            <span>❤️ ${post.getReactionTotal()}</span>
+                            <span>💬 ${post.getCommentCount()}</span>
+                        </span>
+                    </button>
+                `)}
+            </div>
+        `;
+    }
+}
+
+customElements.define('fox-post-grid', FoxPostGrid);
\ No newline at end of file
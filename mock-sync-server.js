@@ -0,0 +1,180 @@
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { isReactionType, normalizeReactions } from './Reactions.js';
+
+/**
+ * Mock sync server for the interaction outbox
+ *
+ *   node mock-sync-server.js --port 8787 --fail-rate 0.3 --conflict-rate 0.1 --latency 200
+ *
+ * POST /interactions   accepts one outbox event (see OutboxSyncWorker for the protocol)
+ * GET  /posts/:id      current server state of a post
+ * GET  /health         liveness check
+ *
+ * Counts are seeded from social-posts.json. --fail-rate answers that share of
+ * requests with 503, --conflict-rate answers that share of votes with 409.
+ */
+function readOptions(argv) {
+    const options = {
+        port: 8787,
+        seed: './social-posts.json',
+        failRate: 0,
+        conflictRate: 0,
+        latency: 0
+    };
+
+    for (let index = 0; index < argv.length; index += 2) {
+        const name = argv[index].replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (name in options) {
+            options[name] = typeof options[name] === 'number' ? Number(argv[index + 1]) : argv[index + 1];
+        }
+    }
+    return options;
+}
+
+export async function createMockSyncServer(options = {}) {
+    const { seed, failRate = 0, conflictRate = 0, latency = 0 } = options;
+    const posts = new Map();
+    const responses = new Map();
+
+    if (seed) {
+        const data = JSON.parse((await readFile(seed, 'utf8')).replace(/^\uFEFF/, ''));
+        (data.photos || data.posts || data).forEach(post => {
+            posts.set(post.id, {
+                id: post.id,
+                reactions: normalizeReactions(post),
+                votes: new Map(),
+                comments: new Map()
+            });
+        });
+    }
+
+    const publicState = (post, clientId) => ({
+        id: post.id,
+        likes: post.reactions.like || 0,
+        dislikes: post.reactions.dislike || 0,
+        reactions: { ...post.reactions },
+        vote: post.votes.get(clientId) || null,
+        commentCount: post.comments.size
+    });
+
+    /**
+     * Apply one event, returning [status, body]
+     */
+    const applyEvent = event => {
+        const post = posts.get(event.postId);
+        if (!post) {
+            return [404, { error: `Post ${event.postId} not found` }];
+        }
+
+        if (event.type === 'vote') {
+            const current = post.votes.get(event.clientId) || null;
+            const { vote = null, previousVote = null } = event.payload || {};
+
+            if (vote !== null && !isReactionType(vote)) {
+                return [422, { error: `Unknown vote "${vote}"` }];
+            }
+            if (current !== previousVote || Math.random() < conflictRate) {
+                return [409, { error: 'Vote conflict', post: publicState(post, event.clientId) }];
+            }
+
+            if (current) post.reactions[current] = Math.max(0, (post.reactions[current] || 0) - 1);
+            if (vote) post.reactions[vote] = (post.reactions[vote] || 0) + 1;
+
+            if (vote) {
+                post.votes.set(event.clientId, vote);
+            } else {
+                post.votes.delete(event.clientId);
+            }
+            return [200, { post: publicState(post, event.clientId) }];
+        }
+
+        if (event.type === 'comment.add') {
+            const comment = event.payload && event.payload.comment;
+            if (!comment || !comment.id) {
+                return [422, { error: 'Missing comment' }];
+            }
+            post.comments.set(comment.id, comment);
+            return [201, { post: publicState(post, event.clientId) }];
+        }
+
+        if (event.type === 'comment.remove') {
+            ((event.payload && event.payload.commentIds) || []).forEach(id => post.comments.delete(id));
+            return [200, { post: publicState(post, event.clientId) }];
+        }
+
+        return [422, { error: `Unknown event type ${event.type}` }];
+    };
+
+    const send = (response, status, body) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+        });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const server = createServer(async (request, response) => {
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            return send(response, 204);
+        }
+        if (request.method === 'GET' && url.pathname === '/health') {
+            return send(response, 200, { ok: true });
+        }
+        if (request.method === 'GET' && url.pathname.startsWith('/posts/')) {
+            const post = posts.get(decodeURIComponent(url.pathname.slice('/posts/'.length)));
+            return post
+                ? send(response, 200, publicState(post, url.searchParams.get('clientId')))
+                : send(response, 404, { error: 'Post not found' });
+        }
+        if (request.method !== 'POST' || url.pathname !== '/interactions') {
+            return send(response, 404, { error: 'Not found' });
+        }
+
+        if (Math.random() < failRate) {
+            return send(response, 503, { error: 'Injected failure' });
+        }
+
+        let event;
+        try {
+            let raw = '';
+            for await (const chunk of request) raw += chunk;
+            event = JSON.parse(raw);
+        } catch (error) {
+            return send(response, 400, { error: 'Body must be JSON' });
+        }
+
+        // Replays of an idempotency key get the original answer without re-applying the event
+        const key = request.headers['idempotency-key'] || event.id;
+        if (key && responses.has(key)) {
+            const [status, body] = responses.get(key);
+            return send(response, status, body);
+        }
+
+        const [status, body] = applyEvent(event);
+        if (key && status !== 409) {
+            responses.set(key, [status, body]);
+        }
+        send(response, status, body);
+    });
+
+    return { server, posts, responses };
+}
+
+// Run directly: node mock-sync-server.js [--port 8787] [--seed file] [--fail-rate 0..1] [--conflict-rate 0..1] [--latency ms]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = readOptions(process.argv.slice(2));
+    const { server } = await createMockSyncServer(options);
+    server.listen(options.port, () => {
+        console.log(`Mock sync server listening on http://localhost:${options.port}/interactions`);
+    });
+}
\ No newline at end of file
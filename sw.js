@@ -0,0 +1,170 @@
+/**
+ * Mockstagram service worker
+ * - App shell (index.html and the JS modules) is precached and served stale-while-revalidate
+ * - The feed JSON is served stale-while-revalidate
+ * - Viewed images are kept in an LRU cache bounded by MAX_IMAGE_BYTES
+ */
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `mockstagram-shell-${CACHE_VERSION}`;
+const FEED_CACHE = `mockstagram-feed-${CACHE_VERSION}`;
+const IMAGE_CACHE = `mockstagram-images-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, FEED_CACHE, IMAGE_CACHE];
+
+const SHELL_URLS = ['./', './index.html'];
+
+// Approximate budget for cached images. Cross-origin images are opaque and don't
+// report a size, so those (and any image without a content-length) count as
+// UNSIZED_IMAGE_BYTES each.
+const MAX_IMAGE_BYTES = 40 * 1024 * 1024;
+const UNSIZED_IMAGE_BYTES = 200 * 1024;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('mockstagram-') && !CURRENT_CACHES.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * The page posts the module URLs it loaded (Lit included) so the whole module graph
+ * is precached, whatever the build or dev server named the files
+ */
+self.addEventListener('message', event => {
+    const { type, urls } = event.data || {};
+    if (type !== 'PRECACHE' || !Array.isArray(urls)) return;
+
+    const sameOrigin = urls.filter(url => new URL(url, self.location.href).origin === self.location.origin);
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.allSettled(
+            sameOrigin.map(async url => {
+                if (!(await cache.match(url))) {
+                    await cache.add(url);
+                }
+            })
+        ))
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cachedImage(request));
+    } else if (sameOrigin && url.pathname.endsWith('.json')) {
+        event.respondWith(staleWhileRevalidate(event, FEED_CACHE));
+    } else if (sameOrigin && request.destination === 'script') {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+/**
+ * Fresh page when online, the cached shell when not
+ */
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) ||
+               (await cache.match('./index.html')) ||
+               Response.error();
+    }
+}
+
+/**
+ * Answer from the cache right away and refresh it in the background;
+ * wait for the network only when nothing is cached yet
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+
+    // Keep the worker alive until the background refresh has been stored
+    event.waitUntil(refresh.catch(() => {}));
+    return cached || refresh;
+}
+
+/**
+ * Cache-first for images; a hit is moved to the back of the cache so the
+ * least recently viewed images are the first to be evicted
+ */
+async function cachedImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+
+    if (cached) {
+        await cache.delete(request);
+        await cache.put(request, cached.clone());
+        return cached;
+    }
+
+    const response = await fetch(request);
+    // Opaque (no-cors) responses have status 0 but are still usable by <img>
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        await trimCache(cache, MAX_IMAGE_BYTES);
+    }
+    return response;
+}
+
+/**
+ * Approximate size of a cached response in bytes
+ */
+function estimateSize(response) {
+    if (!response) return 0;
+    const length = Number(response.headers.get('content-length'));
+    return length > 0 ? length : UNSIZED_IMAGE_BYTES;
+}
+
+/**
+ * Delete the oldest entries (cache keys are in insertion order) until the
+ * cache fits in maxBytes
+ */
+async function trimCache(cache, maxBytes) {
+    const keys = await cache.keys();
+    const sizes = await Promise.all(keys.map(async key => estimateSize(await cache.match(key))));
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+
+    const excess = [];
+    for (let index = 0; index < keys.length && total > maxBytes; index++) {
+        total -= sizes[index];
+        excess.push(keys[index]);
+    }
+    await Promise.all(excess.map(key => cache.delete(key)));
+}
\ No newline at end of file